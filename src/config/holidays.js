@@ -0,0 +1,121 @@
+// Built-in holiday calendars (national holidays + big retail days)
+// Used to explain or suppress predictable swings; chosen per property via
+// analysis_settings.holidayCountry
+//
+// Rule formats:
+//   { month, day }                 fixed date
+//   { month, weekday, nth }        nth weekday of the month (nth -1 = last)
+//   { month, day, weekdayBefore }  that weekday on or before the date
+//   { easter }                     days relative to Easter Sunday
+//   offset                         extra days added to any rule
+// Months are 1-12, weekdays 0 (Sun) - 6 (Sat)
+
+const THANKSGIVING_US = { month: 11, weekday: 4, nth: 4 };
+
+export const HOLIDAY_CALENDARS = {
+  US: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Martin Luther King Jr. Day", month: 1, weekday: 1, nth: 3 },
+    { label: "Presidents' Day", month: 2, weekday: 1, nth: 3 },
+    { label: "Memorial Day", month: 5, weekday: 1, nth: -1 },
+    { label: "Juneteenth", month: 6, day: 19 },
+    { label: "Independence Day", month: 7, day: 4 },
+    { label: "Labor Day", month: 9, weekday: 1, nth: 1 },
+    { label: "Thanksgiving", ...THANKSGIVING_US },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Cyber Monday", ...THANKSGIVING_US, offset: 4 },
+    { label: "Christmas Eve", month: 12, day: 24 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "New Year's Eve", month: 12, day: 31 },
+  ],
+  CA: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Good Friday", easter: -2 },
+    { label: "Victoria Day", month: 5, day: 24, weekdayBefore: 1 },
+    { label: "Canada Day", month: 7, day: 1 },
+    { label: "Civic Holiday", month: 8, weekday: 1, nth: 1 },
+    { label: "Labour Day", month: 9, weekday: 1, nth: 1 },
+    { label: "Thanksgiving", month: 10, weekday: 1, nth: 2 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Remembrance Day", month: 11, day: 11 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "Boxing Day", month: 12, day: 26 },
+  ],
+  GB: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Good Friday", easter: -2 },
+    { label: "Easter Monday", easter: 1 },
+    { label: "Early May Bank Holiday", month: 5, weekday: 1, nth: 1 },
+    { label: "Spring Bank Holiday", month: 5, weekday: 1, nth: -1 },
+    { label: "Summer Bank Holiday", month: 8, weekday: 1, nth: -1 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "Boxing Day", month: 12, day: 26 },
+  ],
+  IE: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "St Brigid's Day", month: 2, weekday: 1, nth: 1 },
+    { label: "St Patrick's Day", month: 3, day: 17 },
+    { label: "Easter Monday", easter: 1 },
+    { label: "May Bank Holiday", month: 5, weekday: 1, nth: 1 },
+    { label: "June Bank Holiday", month: 6, weekday: 1, nth: 1 },
+    { label: "August Bank Holiday", month: 8, weekday: 1, nth: 1 },
+    { label: "October Bank Holiday", month: 10, weekday: 1, nth: -1 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "St Stephen's Day", month: 12, day: 26 },
+  ],
+  AU: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Australia Day", month: 1, day: 26 },
+    { label: "Good Friday", easter: -2 },
+    { label: "Easter Monday", easter: 1 },
+    { label: "Anzac Day", month: 4, day: 25 },
+    { label: "King's Birthday", month: 6, weekday: 1, nth: 2 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "Boxing Day", month: 12, day: 26 },
+  ],
+  DE: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Good Friday", easter: -2 },
+    { label: "Easter Monday", easter: 1 },
+    { label: "Labour Day", month: 5, day: 1 },
+    { label: "Ascension Day", easter: 39 },
+    { label: "Whit Monday", easter: 50 },
+    { label: "German Unity Day", month: 10, day: 3 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Christmas Eve", month: 12, day: 24 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "Second Day of Christmas", month: 12, day: 26 },
+    { label: "New Year's Eve", month: 12, day: 31 },
+  ],
+  FR: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Easter Monday", easter: 1 },
+    { label: "Labour Day", month: 5, day: 1 },
+    { label: "Victory in Europe Day", month: 5, day: 8 },
+    { label: "Ascension Day", easter: 39 },
+    { label: "Whit Monday", easter: 50 },
+    { label: "Bastille Day", month: 7, day: 14 },
+    { label: "Assumption Day", month: 8, day: 15 },
+    { label: "All Saints' Day", month: 11, day: 1 },
+    { label: "Armistice Day", month: 11, day: 11 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Christmas Day", month: 12, day: 25 },
+  ],
+  NL: [
+    { label: "New Year's Day", month: 1, day: 1 },
+    { label: "Good Friday", easter: -2 },
+    { label: "Easter Monday", easter: 1 },
+    { label: "King's Day", month: 4, day: 27 },
+    { label: "Liberation Day", month: 5, day: 5 },
+    { label: "Ascension Day", easter: 39 },
+    { label: "Whit Monday", easter: 50 },
+    { label: "Black Friday", ...THANKSGIVING_US, offset: 1 },
+    { label: "Christmas Day", month: 12, day: 25 },
+    { label: "Boxing Day", month: 12, day: 26 },
+  ],
+};
+
+export const HOLIDAY_COUNTRIES = Object.keys(HOLIDAY_CALENDARS);
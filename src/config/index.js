@@ -6,6 +6,7 @@ export const config = {
   // Server
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || "development",
+  apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`,
   frontendUrls: [
     process.env.FRONTEND_URL || "http://localhost:5173",
     "https://app.gobbledata.com",
@@ -35,6 +36,11 @@ export const config = {
     from: process.env.EMAIL_FROM || "insights@gobbledata.com",
   },
 
+  // Insight feedback (signs the one-click rating links in emails)
+  feedback: {
+    signingSecret: process.env.FEEDBACK_SIGNING_SECRET,
+  },
+
   // Stripe
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
@@ -51,6 +57,10 @@ export const config = {
       users: 0.3,
       bounceRate: 0.35,
       engagementRate: 0.35,
+      transactions: 0.2,
+      averageOrderValue: 0.15,
+      revenuePerSession: 0.2,
+      events: 0.3, // Per watched GA4 event
     },
     persistence: {
       window: 5, // 5-day window
@@ -0,0 +1,345 @@
+// Action-item playbooks - what an insight card tells the reader to do
+// Keys are `${metric}_${direction}` (e.g. sessions_down), `page_` + that for
+// a single landing page (e.g. page_sessions_down), event_up/event_down for a
+// watched GA4 event, a cross-metric pattern name (e.g. trackingLoss),
+// `tracking_` + a data-quality issue type (e.g. tracking_duplicateTag) or
+// botTraffic for anomalies driven by a bot/referral-spam burst.
+// An account's playbook is layered as:
+//   DEFAULT_PLAYBOOK < industry preset < the account's own edits
+//
+// Action text may use {variables}, filled from the insight's context; when
+// the insight has no such context the fallback text is used instead
+
+export const PLAYBOOK_VARIABLES = {
+  metric: "this metric", // e.g. "Conversion Rate"
+  change: "the change", // e.g. "down 23.0%"
+  date: "that day", // e.g. "Oct 3"
+  topChannel: "your main channels", // biggest contributing channel
+  topDevice: "each device type",
+  topCountry: "your main countries",
+  topPage: "your key landing pages", // affected landing page
+  event: "the event", // watched GA4 event, e.g. "purchase"
+  botSource: "the suspicious traffic", // top bot segment, e.g. "spam.site"
+};
+
+export const DEFAULT_PLAYBOOK = {
+  bounceRate_up: [
+    "Check {topPage} on mobile using Google PageSpeed Insights",
+    "Review traffic sources in GA4 to identify low-quality channels",
+    "A/B test the landing pages with the highest bounce rate",
+  ],
+  bounceRate_down: [
+    "Document what improved (traffic source, UX change, etc.)",
+    "Scale successful traffic channels",
+    "Apply learnings to other pages",
+  ],
+  sessions_up: [
+    "Ensure infrastructure can handle traffic spike",
+    "Capture leads while traffic is high (pop-ups, CTAs)",
+    "Analyze traffic sources to understand what drove growth",
+  ],
+  sessions_down: [
+    "Check if campaigns on {topChannel} paused or ads stopped",
+    "Review SEO rankings for keyword drops",
+    "Investigate technical issues (site down, crawl errors)",
+  ],
+  totalUsers_up: [
+    "Capture new user data (email signups, surveys)",
+    "Optimize onboarding flow for first-time visitors",
+    "Track where new users came from in GA4",
+  ],
+  totalUsers_down: [
+    "Review marketing spend and campaign performance",
+    "Check if competitor launched similar product",
+    "Audit site speed and technical issues",
+  ],
+  engagementRate_up: [
+    "Document successful content/features driving engagement",
+    "Double down on high-engagement pages",
+    "Test similar approaches on other pages",
+  ],
+  engagementRate_down: [
+    "Check {topPage} for broken features or page errors",
+    "Review content quality and relevance",
+    "A/B test new CTAs and interactive elements",
+  ],
+  conversions_up: [
+    "Scale what's working (traffic source, offer, CTA)",
+    "Capture customer feedback to improve further",
+    "Test higher price points or upsells",
+  ],
+  conversions_down: [
+    "Check conversion funnel for drop-off points",
+    "Review form fields (too many? confusing?)",
+    "Test different offers or CTAs",
+  ],
+  conversionRate_up: [
+    "Identify which traffic sources convert better than usual",
+    "Roll out the winning offer, page or CTA more widely",
+    "Check that conversion tracking isn't double-counting",
+  ],
+  conversionRate_down: [
+    "Walk through the conversion funnel on mobile and desktop",
+    "Check whether new traffic from {topChannel} is less qualified",
+    "Confirm conversion tags still fire on the thank-you step",
+  ],
+  totalRevenue_up: [
+    "Identify the products and channels behind the extra revenue",
+    "Make sure stock and fulfilment can keep up with demand",
+    "Retarget recent buyers with complementary products",
+  ],
+  totalRevenue_down: [
+    "Test the checkout end-to-end (payment gateway, shipping, coupons)",
+    "Check whether a promotion or paid campaign ended",
+    "Compare transactions vs. order value to see which one fell",
+  ],
+  transactions_up: [
+    "Find the traffic source or promotion driving the extra orders",
+    "Confirm purchase events aren't firing twice",
+    "Capture buyers' emails for repeat purchase campaigns",
+  ],
+  transactions_down: [
+    "Place a test order to rule out a broken checkout",
+    "Review cart and checkout abandonment in GA4",
+    "Check pricing, stock-outs and shipping changes on top products",
+  ],
+  averageOrderValue_up: [
+    "See which bundles, upsells or products lifted basket size",
+    "Promote the higher-value products more prominently",
+    "Check that a few unusually large orders aren't skewing the average",
+  ],
+  averageOrderValue_down: [
+    "Check whether discounts or coupons are eating into basket size",
+    "Review upsell and cross-sell placements in the cart",
+    "Look for a shift toward cheaper products or smaller orders",
+  ],
+  revenuePerSession_up: [
+    "Scale the channels that are bringing higher-value visitors",
+    "Document the merchandising or pricing change that helped",
+    "Raise bids on campaigns with the best revenue per visit",
+  ],
+  revenuePerSession_down: [
+    "Check whether new traffic is lower intent (source/medium report)",
+    "Test product and checkout pages for speed and errors",
+    "Compare conversion rate and order value to find the weak link",
+  ],
+  page_sessions_down: [
+    "Open {topPage} and check it loads (no 404, redirect loop or error)",
+    "Check Search Console for lost rankings or indexing issues on {topPage}",
+    "Look for paused campaigns or changed links that pointed to {topPage}",
+  ],
+  page_conversions_down: [
+    "Test the form or checkout reached from {topPage} end-to-end",
+    "Check recent content, layout or CTA changes on {topPage}",
+    "Confirm conversion tags still fire for visits landing on {topPage}",
+  ],
+  event_down: [
+    "Trigger {event} yourself and check it in GA4 DebugView",
+    "Check recent tag manager, consent banner or site releases for {event}",
+    "Confirm the form, button or page that fires {event} still works",
+  ],
+  event_up: [
+    "Check {event} isn't firing twice (duplicate tags or page reloads)",
+    "Look for bot or spam traffic triggering {event}",
+    "If it's real, find the campaign or page change behind it",
+  ],
+  lowQualityTraffic: [
+    "Find the source/medium behind the extra sessions in GA4",
+    "Check the new traffic for bots (near-zero engagement, odd hostnames)",
+    "Tighten targeting or exclude the placements sending unqualified visits",
+  ],
+  trackingLoss: [
+    "Confirm the GA4 tag fires on every page template (Tag Assistant)",
+    "Check recent consent banner, tag manager or site releases",
+    "Compare GA4 sessions against server logs or your ad platform clicks",
+  ],
+  funnelLeak: [
+    "Walk through the conversion path yourself on mobile and desktop",
+    "Look for the funnel step with the biggest new drop-off in GA4",
+    "Check forms, checkout and payment integrations for errors",
+  ],
+  botTraffic: [
+    "Look up {botSource} in GA4 and confirm it isn't a real partner or campaign",
+    "Block or filter {botSource} (unwanted referrals, data filters, WAF rules)",
+    "Exclude bot bursts from baselines in your analysis settings",
+  ],
+  tracking_nearZero: [
+    "Load the site and check the GA4 tag fires (Tag Assistant or DebugView)",
+    "Check whether a release, theme or tag manager publish removed the tag",
+    "Confirm the site was up and the consent banner isn't blocking all tags",
+  ],
+  tracking_unassignedSpike: [
+    "Check new campaigns and emails carry utm_source and utm_medium",
+    "Look for redirects that strip query strings from campaign links",
+    "Review consent mode changes that drop session source information",
+  ],
+  tracking_notSetSpike: [
+    "Check the GA4 config tag fires before any event tags on every page",
+    "Look for sessions started by events alone (e.g. server-side or app hits)",
+    "Review recent consent banner or tag sequencing changes",
+  ],
+  tracking_duplicateTag: [
+    "Check the page source for two GA4 tags (gtag.js and tag manager)",
+    "Use Tag Assistant to see whether page_view fires more than once",
+    "Review recent plugin, theme or tag manager changes that added a tag",
+  ],
+  tracking_missingKeyEvents: [
+    "Complete a conversion yourself and check it in GA4 DebugView",
+    "Confirm the events are still marked as key events in GA4 Admin",
+    "Check recent form, checkout or tag manager changes",
+  ],
+};
+
+// Industry presets (chosen at onboarding) - only the keys where the
+// default advice doesn't fit
+export const INDUSTRY_PLAYBOOKS = {
+  ecommerce: {
+    label: "Ecommerce",
+    description: "Online store selling products",
+    actions: {
+      bounceRate_up: [
+        "Check {topPage} for slow images, broken filters or out-of-stock items",
+        "Compare bounce rate by {topChannel} to find the weakest traffic",
+        "Make sure product and category pages load fast on mobile",
+      ],
+      sessions_down: [
+        "Check Shopping/Performance Max campaigns and product feed errors",
+        "Review {topChannel} for paused campaigns or budget caps",
+        "Look for lost rankings on top category pages",
+      ],
+      conversions_down: [
+        "Place a test order on mobile and desktop",
+        "Check payment providers and shipping options at checkout",
+        "Review stock levels on best-selling products",
+      ],
+      conversions_up: [
+        "Find the products and campaigns behind the extra orders",
+        "Check stock and fulfilment capacity for the higher volume",
+        "Follow up new buyers with a post-purchase email",
+      ],
+      conversionRate_down: [
+        "Compare add-to-cart and checkout rates to find the leaking step",
+        "Check whether a price change or promotion ended",
+        "Test checkout on {topDevice}",
+      ],
+    },
+  },
+  "lead-gen": {
+    label: "Lead generation",
+    description: "Forms, calls or demo requests",
+    actions: {
+      bounceRate_up: [
+        "Check {topPage} loads fast and the form is above the fold",
+        "Make sure ad copy from {topChannel} matches the landing page offer",
+        "A/B test a shorter headline and a single clear CTA",
+      ],
+      conversions_down: [
+        "Submit a test lead through every form and check it arrives",
+        "Check CRM and form integrations (webhooks, spam filters)",
+        "Review paused campaigns on {topChannel}",
+      ],
+      conversions_up: [
+        "Check lead quality with your sales team before scaling",
+        "Find the campaign or page driving the extra leads",
+        "Make sure follow-up capacity can keep up",
+      ],
+      conversionRate_down: [
+        "Look for new required form fields or validation errors",
+        "Check whether traffic from {topChannel} is less qualified",
+        "Confirm the thank-you page still fires the conversion tag",
+      ],
+      funnelLeak: [
+        "Submit a test lead on mobile and desktop",
+        "Check the form's spam protection isn't blocking real leads",
+        "Confirm leads still reach your CRM",
+      ],
+    },
+  },
+  content: {
+    label: "Content / publisher",
+    description: "Blog, media or newsletter",
+    actions: {
+      sessions_down: [
+        "Check Google Search Console for ranking or indexing drops",
+        "Review referral and social traffic from {topChannel}",
+        "Check whether a newsletter send or syndication partner was skipped",
+      ],
+      sessions_up: [
+        "Find the article or referrer that took off",
+        "Add related links and newsletter signups to {topPage}",
+        "Plan follow-up content on the same topic",
+      ],
+      engagementRate_down: [
+        "Check {topPage} for intrusive ads, pop-ups or layout shifts",
+        "Compare engagement by device - mobile layouts break first",
+        "Review whether new traffic matches the content's audience",
+      ],
+      bounceRate_up: [
+        "Check {topPage} for slow ads or layout shifts",
+        "Add related articles and clear next reads",
+        "Check whether a viral referrer is sending one-page visits",
+      ],
+      conversions_down: [
+        "Test the newsletter signup and paywall flows",
+        "Check signup prompts still show on {topPage}",
+        "Confirm signup events still fire in GA4",
+      ],
+    },
+  },
+  saas: {
+    label: "SaaS",
+    description: "Software with trials, signups or subscriptions",
+    actions: {
+      bounceRate_up: [
+        "Check the pricing and signup pages for errors or slow loads",
+        "Make sure ads on {topChannel} match what {topPage} promises",
+        "Test a clearer primary CTA (start trial / book demo)",
+      ],
+      conversions_down: [
+        "Sign up for a trial yourself to rule out a broken flow",
+        "Check auth, email verification and billing integrations",
+        "Review recent pricing or plan page changes",
+      ],
+      conversions_up: [
+        "Find the channel or campaign behind the extra signups",
+        "Check activation of the new accounts, not just signups",
+        "Make sure onboarding emails and sales follow-up keep up",
+      ],
+      conversionRate_down: [
+        "Compare visit-to-trial rate on the pricing page vs. last month",
+        "Check whether traffic from {topChannel} is a poorer fit",
+        "Test the signup form on {topDevice}",
+      ],
+      totalRevenue_down: [
+        "Check the payment provider for failed renewals or card declines",
+        "Review plan downgrades and cancellations",
+        "Confirm purchase events still fire after upgrades",
+      ],
+    },
+  },
+};
+
+export const INDUSTRIES = Object.keys(INDUSTRY_PLAYBOOKS);
+export const PLAYBOOK_KEYS = Object.keys(DEFAULT_PLAYBOOK);
+
+/**
+ * Playbook key for an insight - also its type for feedback and ranking
+ * @param {object} insight - { trackingIssue, botTraffic, pattern, page,
+ *   event, metric, direction }
+ */
+export function getInsightType({
+  trackingIssue,
+  botTraffic,
+  pattern,
+  page,
+  event,
+  metric,
+  direction,
+}) {
+  if (trackingIssue) return `tracking_${trackingIssue.type}`;
+  if (botTraffic) return "botTraffic";
+  if (pattern) return pattern;
+  if (event) return `event_${direction}`;
+  const key = `${metric}_${direction}`;
+  return page ? `page_${key}` : key;
+}
@@ -1,5 +1,5 @@
 // Subscription tier definitions and limits
-const SUBSCRIPTION_TIERS = {
+export const SUBSCRIPTION_TIERS = {
   starter: {
     name: 'Starter',
     price: 0,
@@ -11,6 +11,7 @@ const SUBSCRIPTION_TIERS = {
       pdfExports: false,
       historicalComparison: false,
       slackAlerts: false,
+      portfolioRollup: false,
       supportLevel: 'docs'
     }
   },
@@ -25,6 +26,7 @@ const SUBSCRIPTION_TIERS = {
       pdfExports: true,
       historicalComparison: true,
       slackAlerts: false,
+      portfolioRollup: false,
       supportLevel: 'email-48hr'
     }
   },
@@ -39,6 +41,7 @@ const SUBSCRIPTION_TIERS = {
       pdfExports: true,
       historicalComparison: true,
       slackAlerts: true,
+      portfolioRollup: true, // Roll-up across all properties in the email
       supportLevel: 'email-24hr'
     }
   },
@@ -53,6 +56,7 @@ const SUBSCRIPTION_TIERS = {
       pdfExports: true,
       historicalComparison: true,
       slackAlerts: true,
+      portfolioRollup: true,
       whiteLabel: true,
       supportLevel: 'dedicated-4hr'
     }
@@ -60,26 +64,19 @@ const SUBSCRIPTION_TIERS = {
 };
 
 // Check if user can add another property
-function canAddProperty(subscriptionTier, currentPropertyCount) {
+export function canAddProperty(subscriptionTier, currentPropertyCount) {
   const tier = SUBSCRIPTION_TIERS[subscriptionTier] || SUBSCRIPTION_TIERS.starter;
   return currentPropertyCount < tier.limits.properties;
 }
 
 // Check if user can access a feature
-function hasFeatureAccess(subscriptionTier, featureName) {
+export function hasFeatureAccess(subscriptionTier, featureName) {
   const tier = SUBSCRIPTION_TIERS[subscriptionTier] || SUBSCRIPTION_TIERS.starter;
   return tier.limits[featureName] === true;
 }
 
 // Get lookback days for tier
-function getLookbackDays(subscriptionTier) {
+export function getLookbackDays(subscriptionTier) {
   const tier = SUBSCRIPTION_TIERS[subscriptionTier] || SUBSCRIPTION_TIERS.starter;
   return tier.limits.lookbackDays;
 }
-
-module.exports = {
-  SUBSCRIPTION_TIERS,
-  canAddProperty,
-  hasFeatureAccess,
-  getLookbackDays
-};
\ No newline at end of file
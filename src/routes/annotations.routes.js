@@ -0,0 +1,229 @@
+// Annotations Routes - campaigns, sales and holidays that explain anomalies
+import express from "express";
+import { authenticateUser } from "../middleware/auth.middleware.js";
+import { supabaseAdmin } from "../services/supabase.service.js";
+import { annotationsService } from "../services/annotations.service.js";
+import { HOLIDAY_COUNTRIES } from "../config/holidays.js";
+
+const router = express.Router();
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LABEL_LENGTH = 200;
+
+/**
+ * Helper: Is this a real YYYY-MM-DD date?
+ */
+function isValidDate(value) {
+  return (
+    typeof value === "string" &&
+    DATE_FORMAT.test(value) &&
+    !Number.isNaN(new Date(value).getTime()) &&
+    new Date(value).toISOString().slice(0, 10) === value // Rejects 2024-02-30
+  );
+}
+
+/**
+ * Helper: Load one of the user's GA4 connections (null if not theirs)
+ */
+async function getUserConnection(userId, connectionId) {
+  const { data, error } = await supabaseAdmin
+    .from("ga4_connections")
+    .select("id, analysis_settings")
+    .eq("id", connectionId)
+    .eq("user_id", userId)
+    .single();
+
+  return error ? null : data;
+}
+
+/**
+ * ROUTE: List a property's annotations (plus its holidays)
+ * GET /api/annotations?connectionId=...&startDate=2026-10-01&endDate=2026-10-31
+ */
+router.get("/", authenticateUser, async (req, res) => {
+  try {
+    const { connectionId, startDate, endDate } = req.query;
+
+    if (!connectionId) {
+      return res.status(400).json({ error: "connectionId is required" });
+    }
+    if (
+      (startDate && !isValidDate(startDate)) ||
+      (endDate && !isValidDate(endDate))
+    ) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        format: "YYYY-MM-DD",
+      });
+    }
+
+    const connection = await getUserConnection(req.user.id, connectionId);
+    if (!connection) {
+      return res.status(404).json({ error: "Connection not found" });
+    }
+
+    const annotations = await annotationsService.getAnnotations(
+      connectionId,
+      startDate,
+      endDate
+    );
+    const holidays =
+      startDate && endDate
+        ? annotationsService.getHolidays(
+            connection.analysis_settings?.holidayCountry,
+            startDate,
+            endDate
+          )
+        : [];
+
+    res.json({ annotations, holidays });
+  } catch (error) {
+    console.error("Get annotations error:", error);
+    res.status(500).json({ error: "Failed to fetch annotations" });
+  }
+});
+
+/**
+ * ROUTE: Built-in holiday calendar for a country
+ * GET /api/annotations/holidays?country=US&year=2026
+ */
+router.get("/holidays", authenticateUser, (req, res) => {
+  const { country } = req.query;
+  const year = Number(req.query.year) || new Date().getFullYear();
+
+  if (!HOLIDAY_COUNTRIES.includes(country)) {
+    return res.status(400).json({
+      error: "Invalid country",
+      allowed: HOLIDAY_COUNTRIES,
+      received: country,
+    });
+  }
+
+  res.json({
+    country,
+    year,
+    holidays: annotationsService.getHolidays(
+      country,
+      `${year}-01-01`,
+      `${year}-12-31`
+    ),
+  });
+});
+
+/**
+ * ROUTE: Add an annotation
+ * POST /api/annotations
+ *
+ * Expected body:
+ * {
+ *   connectionId: "uuid",
+ *   startDate: "2026-11-27",
+ *   endDate: "2026-11-30",     // optional, defaults to startDate
+ *   label: "Black Friday sale",
+ *   expectedImpact: 0.4        // optional, +40% (matching anomalies are suppressed)
+ * }
+ */
+router.post("/", authenticateUser, async (req, res) => {
+  try {
+    const { connectionId, startDate, label, expectedImpact } = req.body;
+    const endDate = req.body.endDate || startDate;
+
+    if (!connectionId) {
+      return res.status(400).json({ error: "connectionId is required" });
+    }
+
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      return res.status(400).json({
+        error: "Invalid startDate or endDate",
+        format: "YYYY-MM-DD",
+      });
+    }
+
+    if (endDate < startDate) {
+      return res
+        .status(400)
+        .json({ error: "endDate must be on or after startDate" });
+    }
+
+    if (
+      typeof label !== "string" ||
+      !label.trim() ||
+      label.length > MAX_LABEL_LENGTH
+    ) {
+      return res.status(400).json({
+        error: "Invalid label",
+        format: `Non-empty text, up to ${MAX_LABEL_LENGTH} characters`,
+      });
+    }
+
+    if (
+      expectedImpact !== undefined &&
+      expectedImpact !== null &&
+      (typeof expectedImpact !== "number" ||
+        expectedImpact < -1 ||
+        expectedImpact > 10)
+    ) {
+      return res.status(400).json({
+        error: "Invalid expectedImpact",
+        format: "Signed fraction between -1 and 10 (0.4 = +40%)",
+        received: expectedImpact,
+      });
+    }
+
+    const connection = await getUserConnection(req.user.id, connectionId);
+    if (!connection) {
+      return res.status(404).json({ error: "Connection not found" });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("annotations")
+      .insert({
+        user_id: req.user.id,
+        ga4_connection_id: connectionId,
+        start_date: startDate,
+        end_date: endDate,
+        label: label.trim(),
+        expected_impact: expectedImpact ?? null,
+      })
+      .select("id, start_date, end_date, label, expected_impact")
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      annotation: annotationsService.fromRow(data),
+    });
+  } catch (error) {
+    console.error("Create annotation error:", error);
+    res.status(500).json({ error: "Failed to create annotation" });
+  }
+});
+
+/**
+ * ROUTE: Delete an annotation
+ * DELETE /api/annotations/:id
+ */
+router.delete("/:id", authenticateUser, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("annotations")
+      .delete()
+      .eq("id", req.params.id)
+      .eq("user_id", req.user.id)
+      .select("id");
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Annotation not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Delete annotation error:", error);
+    res.status(500).json({ error: "Failed to delete annotation" });
+  }
+});
+
+export default router;
@@ -65,6 +65,7 @@ router.get('/', authenticateUser, async (req, res) => {
  *   enabled: true,               // boolean (optional)
  *   frequency: "daily"           // 'daily', 'weekly', 'monthly' (optional)
  * }
+ * 'weekly' and 'monthly' switch from the daily anomaly email to a digest
  */
 router.put('/', authenticateUser, async (req, res) => {
   try {
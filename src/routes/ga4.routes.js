@@ -7,6 +7,26 @@ import {
   supabaseAdmin,
 } from "../services/supabase.service.js";
 import { config } from "../config/index.js";
+import { HOLIDAY_COUNTRIES } from "../config/holidays.js";
+import {
+  BASELINE_MODES,
+  ANALYZED_METRICS,
+  MAX_MONITORED_PAGES,
+  MAX_WATCHED_EVENTS,
+} from "../services/insights.service.js";
+import { detectorRegistry } from "../services/detectors/index.js";
+import { PREDICTION_INTERVALS } from "../services/detectors/forecast.detector.js";
+import {
+  GOAL_METRICS,
+  DEFAULT_GOAL_TOLERANCE,
+} from "../services/pacing.service.js";
+import { MAX_GROUP_NAME_LENGTH } from "../services/portfolio.service.js";
+import {
+  benchmarksService,
+  BENCHMARK_WINDOW,
+} from "../services/benchmarks.service.js";
+import { backtestService } from "../services/backtest.service.js";
+import { playbooksService } from "../services/playbooks.service.js";
 import {
   checkTrialStatus,
   checkPropertyLimit,
@@ -14,6 +34,19 @@ import {
 
 const router = express.Router();
 
+const MONTH_FORMAT = /^\d{4}-(0[1-9]|1[0-2])$/; // YYYY-MM
+const EVENT_NAME_FORMAT = /^[A-Za-z][A-Za-z0-9_]{0,39}$/; // GA4 event naming
+const HOSTNAME_FORMAT = /^[A-Za-z0-9.-]{1,253}$/;
+const MAX_KNOWN_HOSTNAMES = 20;
+
+/**
+ * Helper: Is this a registered detector name, or a list of them?
+ */
+function isDetectorSetting(value) {
+  const names = Array.isArray(value) ? value : [value];
+  return names.length > 0 && names.every((name) => detectorRegistry.has(name));
+}
+
 /**
  * ROUTE 1: Start OAuth flow
  * GET /api/ga4/connect
@@ -287,6 +320,625 @@ router.post(
   }
 );
 
+/**
+ * ROUTE: Update a property's analysis settings
+ * PUT /api/ga4/connections/:connectionId/settings
+ *
+ * Expected body (all optional):
+ * {
+ *   baselineMode: "robust",     // 'mean' or 'robust'
+ *   detector: "forecast",       // 'zscore', 'forecast' or a list of both
+ *   metricDetectors: { conversions: ["zscore", "forecast"] }, // null = default
+ *   predictionInterval: 99,     // 95 or 99 (forecast detector)
+ *   thresholds: { sessions: 0.2 },        // min % change per metric (0-10)
+ *   persistence: { window: 5, required: 3 }, // N-of-M days for a trend
+ *   minSampleSize: 50,                    // sessions/day floor
+ *   zScoreThreshold: 2,                   // z-score screen (zscore detector)
+ *   holidayCountry: "GB",                 // built-in holiday calendar (null = off)
+ *   monitoredPages: 10,                   // top landing pages to test (0 = off)
+ *   watchedEvents: ["purchase", "generate_lead"], // GA4 events to monitor
+ *   excludeBotTraffic: true,              // leave bot bursts out of baselines
+ *   knownHostnames: ["shop.example.com"], // the site's hosts (else inferred)
+ *   portfolioGroup: "Retail clients",     // roll-up group (null = none)
+ *   benchmarkOptIn: true                  // share anonymously, see benchmarks
+ * }
+ */
+router.put(
+  "/connections/:connectionId/settings",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { connectionId } = req.params;
+      const userId = req.user.id;
+      const {
+        baselineMode,
+        detector,
+        metricDetectors,
+        predictionInterval,
+        thresholds,
+        persistence,
+        minSampleSize,
+        zScoreThreshold,
+        holidayCountry,
+        monitoredPages,
+        watchedEvents,
+        excludeBotTraffic,
+        knownHostnames,
+        portfolioGroup,
+        benchmarkOptIn,
+      } = req.body;
+
+      if (
+        baselineMode !== undefined &&
+        !BASELINE_MODES.includes(baselineMode)
+      ) {
+        return res.status(400).json({
+          error: "Invalid baselineMode",
+          allowed: BASELINE_MODES,
+          received: baselineMode,
+        });
+      }
+
+      if (detector !== undefined && !isDetectorSetting(detector)) {
+        return res.status(400).json({
+          error: "Invalid detector",
+          allowed: detectorRegistry.names(),
+          received: detector,
+        });
+      }
+
+      if (metricDetectors !== undefined) {
+        const invalid = Object.entries(metricDetectors || {}).filter(
+          ([metric, value]) =>
+            !ANALYZED_METRICS.includes(metric) ||
+            (value !== null && !isDetectorSetting(value))
+        );
+
+        if (
+          !metricDetectors ||
+          typeof metricDetectors !== "object" ||
+          invalid.length
+        ) {
+          return res.status(400).json({
+            error: "Invalid metricDetectors",
+            format: "Map of metric to detector name or list (null = default)",
+            allowed: {
+              metrics: ANALYZED_METRICS,
+              detectors: detectorRegistry.names(),
+            },
+            received: metricDetectors,
+          });
+        }
+      }
+
+      if (
+        predictionInterval !== undefined &&
+        !PREDICTION_INTERVALS.includes(predictionInterval)
+      ) {
+        return res.status(400).json({
+          error: "Invalid predictionInterval",
+          allowed: PREDICTION_INTERVALS,
+          received: predictionInterval,
+        });
+      }
+
+      if (thresholds !== undefined) {
+        const allowedMetrics = Object.keys(config.algorithm.thresholds);
+        const invalid = Object.entries(thresholds || {}).filter(
+          ([metric, value]) =>
+            !allowedMetrics.includes(metric) ||
+            typeof value !== "number" ||
+            value < 0 ||
+            value > 10
+        );
+
+        if (!thresholds || typeof thresholds !== "object" || invalid.length) {
+          return res.status(400).json({
+            error: "Invalid thresholds",
+            format: "Map of metric to minimum percent change (0.2 = 20%)",
+            allowed: allowedMetrics,
+            received: thresholds,
+          });
+        }
+      }
+
+      if (persistence !== undefined) {
+        const { window, required } = persistence || {};
+        if (
+          !Number.isInteger(window) ||
+          !Number.isInteger(required) ||
+          required < 1 ||
+          window < required ||
+          window > 14
+        ) {
+          return res.status(400).json({
+            error: "Invalid persistence",
+            format: "{ window, required } with 1 <= required <= window <= 14",
+            received: persistence,
+          });
+        }
+      }
+
+      if (
+        minSampleSize !== undefined &&
+        (!Number.isInteger(minSampleSize) || minSampleSize < 0)
+      ) {
+        return res.status(400).json({
+          error: "Invalid minSampleSize",
+          format: "Non-negative integer (sessions per day)",
+          received: minSampleSize,
+        });
+      }
+
+      if (
+        zScoreThreshold !== undefined &&
+        (typeof zScoreThreshold !== "number" ||
+          zScoreThreshold < 1 ||
+          zScoreThreshold > 5)
+      ) {
+        return res.status(400).json({
+          error: "Invalid zScoreThreshold",
+          format: "Number between 1 and 5 (standard deviations)",
+          received: zScoreThreshold,
+        });
+      }
+
+      if (
+        holidayCountry !== undefined &&
+        holidayCountry !== null &&
+        !HOLIDAY_COUNTRIES.includes(holidayCountry)
+      ) {
+        return res.status(400).json({
+          error: "Invalid holidayCountry",
+          allowed: HOLIDAY_COUNTRIES,
+          received: holidayCountry,
+        });
+      }
+
+      if (
+        monitoredPages !== undefined &&
+        (!Number.isInteger(monitoredPages) ||
+          monitoredPages < 0 ||
+          monitoredPages > MAX_MONITORED_PAGES)
+      ) {
+        return res.status(400).json({
+          error: "Invalid monitoredPages",
+          format: `Integer between 0 and ${MAX_MONITORED_PAGES} (0 = off)`,
+          received: monitoredPages,
+        });
+      }
+
+      if (
+        watchedEvents !== undefined &&
+        (!Array.isArray(watchedEvents) ||
+          watchedEvents.length > MAX_WATCHED_EVENTS ||
+          !watchedEvents.every(
+            (name) => typeof name === "string" && EVENT_NAME_FORMAT.test(name)
+          ))
+      ) {
+        return res.status(400).json({
+          error: "Invalid watchedEvents",
+          format: `Up to ${MAX_WATCHED_EVENTS} GA4 event names (e.g. "purchase")`,
+          received: watchedEvents,
+        });
+      }
+
+      if (
+        excludeBotTraffic !== undefined &&
+        typeof excludeBotTraffic !== "boolean"
+      ) {
+        return res.status(400).json({
+          error: "Invalid excludeBotTraffic",
+          format: "true or false",
+          received: excludeBotTraffic,
+        });
+      }
+
+      if (
+        knownHostnames !== undefined &&
+        (!Array.isArray(knownHostnames) ||
+          knownHostnames.length > MAX_KNOWN_HOSTNAMES ||
+          !knownHostnames.every(
+            (host) => typeof host === "string" && HOSTNAME_FORMAT.test(host)
+          ))
+      ) {
+        return res.status(400).json({
+          error: "Invalid knownHostnames",
+          format: `Up to ${MAX_KNOWN_HOSTNAMES} hostnames (e.g. "shop.example.com")`,
+          received: knownHostnames,
+        });
+      }
+
+      if (
+        portfolioGroup !== undefined &&
+        portfolioGroup !== null &&
+        (typeof portfolioGroup !== "string" ||
+          !portfolioGroup.trim() ||
+          portfolioGroup.trim().length > MAX_GROUP_NAME_LENGTH)
+      ) {
+        return res.status(400).json({
+          error: "Invalid portfolioGroup",
+          format: `Group name up to ${MAX_GROUP_NAME_LENGTH} characters (null = none)`,
+          received: portfolioGroup,
+        });
+      }
+
+      if (benchmarkOptIn !== undefined && typeof benchmarkOptIn !== "boolean") {
+        return res.status(400).json({
+          error: "Invalid benchmarkOptIn",
+          format: "true or false",
+          received: benchmarkOptIn,
+        });
+      }
+
+      const { data: connection, error: fetchError } = await supabaseAdmin
+        .from("ga4_connections")
+        .select("id, analysis_settings")
+        .eq("id", connectionId)
+        .eq("user_id", userId)
+        .single();
+
+      if (fetchError || !connection) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+
+      // Merge so unrelated settings are left untouched
+      const analysisSettings = { ...(connection.analysis_settings || {}) };
+      if (baselineMode !== undefined) {
+        analysisSettings.baselineMode = baselineMode;
+      }
+      if (detector !== undefined) analysisSettings.detector = detector;
+      if (metricDetectors !== undefined) {
+        const merged = {
+          ...(analysisSettings.metricDetectors || {}),
+          ...metricDetectors,
+        };
+        analysisSettings.metricDetectors = Object.fromEntries(
+          Object.entries(merged).filter(([, value]) => value !== null)
+        );
+      }
+      if (predictionInterval !== undefined) {
+        analysisSettings.predictionInterval = predictionInterval;
+      }
+      if (thresholds !== undefined) {
+        analysisSettings.thresholds = {
+          ...(analysisSettings.thresholds || {}),
+          ...thresholds,
+        };
+      }
+      if (persistence !== undefined) analysisSettings.persistence = persistence;
+      if (minSampleSize !== undefined) {
+        analysisSettings.minSampleSize = minSampleSize;
+      }
+      if (zScoreThreshold !== undefined) {
+        analysisSettings.zScoreThreshold = zScoreThreshold;
+      }
+      if (holidayCountry !== undefined) {
+        analysisSettings.holidayCountry = holidayCountry;
+      }
+      if (monitoredPages !== undefined) {
+        analysisSettings.monitoredPages = monitoredPages;
+      }
+      if (watchedEvents !== undefined) {
+        analysisSettings.watchedEvents = [...new Set(watchedEvents)];
+      }
+      if (excludeBotTraffic !== undefined) {
+        analysisSettings.excludeBotTraffic = excludeBotTraffic;
+      }
+      if (knownHostnames !== undefined) {
+        analysisSettings.knownHostnames = [
+          ...new Set(knownHostnames.map((host) => host.toLowerCase())),
+        ];
+      }
+      if (portfolioGroup === null) {
+        delete analysisSettings.portfolioGroup;
+      } else if (portfolioGroup !== undefined) {
+        analysisSettings.portfolioGroup = portfolioGroup.trim();
+      }
+      if (benchmarkOptIn !== undefined) {
+        analysisSettings.benchmarkOptIn = benchmarkOptIn;
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("ga4_connections")
+        .update({ analysis_settings: analysisSettings })
+        .eq("id", connectionId)
+        .eq("user_id", userId)
+        .select("id, analysis_settings")
+        .single();
+
+      if (error) throw error;
+
+      res.json({ success: true, settings: data.analysis_settings });
+    } catch (error) {
+      console.error("Update analysis settings error:", error);
+      res.status(500).json({ error: "Failed to update analysis settings" });
+    }
+  }
+);
+
+/**
+ * ROUTE: List a property's events (to pick which ones to watch)
+ * GET /api/ga4/connections/:connectionId/events
+ * Returns the last 28 days' events by volume, flagging key events and the
+ * ones already watched
+ */
+router.get(
+  "/connections/:connectionId/events",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { connectionId } = req.params;
+
+      const { data: connection, error: fetchError } = await supabaseAdmin
+        .from("ga4_connections")
+        .select(
+          "id, property_id, access_token, refresh_token, analysis_settings"
+        )
+        .eq("id", connectionId)
+        .eq("user_id", req.user.id)
+        .single();
+
+      if (fetchError || !connection) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+
+      const result = await ga4Service.fetchEventNames(
+        connection.property_id,
+        connection.access_token,
+        connection.refresh_token
+      );
+
+      if (result.tokenRefreshed) {
+        await supabaseAdmin
+          .from("ga4_connections")
+          .update({
+            access_token: result.newAccessToken,
+            token_expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+          })
+          .eq("id", connection.id);
+      }
+
+      const watched = connection.analysis_settings?.watchedEvents || [];
+      res.json({
+        events: result.events.map((event) => ({
+          ...event,
+          watched: watched.includes(event.name),
+        })),
+        watchedEvents: watched,
+        maxWatchedEvents: MAX_WATCHED_EVENTS,
+      });
+    } catch (error) {
+      console.error("Get events error:", error);
+      res.status(500).json({ error: "Failed to fetch events" });
+    }
+  }
+);
+
+/**
+ * ROUTE: Where a property sits among similar ones (industry benchmarks)
+ * GET /api/ga4/connections/:connectionId/benchmarks
+ * Only for properties that opted in (benchmarkOptIn) - the same ones whose
+ * rates feed the anonymous distributions. Uses the last 28 stored days.
+ */
+router.get(
+  "/connections/:connectionId/benchmarks",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { connectionId } = req.params;
+
+      const { data: connection, error: fetchError } = await supabaseAdmin
+        .from("ga4_connections")
+        .select("id, analysis_settings")
+        .eq("id", connectionId)
+        .eq("user_id", req.user.id)
+        .single();
+
+      if (fetchError || !connection) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+
+      if (!connection.analysis_settings?.benchmarkOptIn) {
+        return res.status(403).json({
+          error: "Benchmarks not enabled",
+          message:
+            "Turn on benchmarkOptIn in the property's settings to share its rates anonymously and see benchmarks",
+        });
+      }
+
+      const endDate = new Date();
+      endDate.setUTCDate(endDate.getUTCDate() - 1);
+      const startDate = new Date(endDate);
+      startDate.setUTCDate(startDate.getUTCDate() - (BENCHMARK_WINDOW - 1));
+
+      const [dailyData, playbook] = await Promise.all([
+        backtestService.getDailySeries(
+          connection.id,
+          startDate.toISOString().split("T")[0],
+          endDate.toISOString().split("T")[0]
+        ),
+        playbooksService.getPlaybook(req.user.id),
+      ]);
+
+      res.json({
+        industry: playbook.industry || null,
+        windowDays: BENCHMARK_WINDOW,
+        benchmarks: await benchmarksService.getPosition(
+          dailyData,
+          playbook.industry
+        ),
+      });
+    } catch (error) {
+      console.error("Get benchmarks error:", error);
+      res.status(500).json({ error: "Failed to fetch benchmarks" });
+    }
+  }
+);
+
+/**
+ * ROUTE: List a property's goals
+ * GET /api/ga4/connections/:connectionId/goals?month=2026-10
+ */
+router.get(
+  "/connections/:connectionId/goals",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { connectionId } = req.params;
+      const { month } = req.query;
+
+      if (month !== undefined && !MONTH_FORMAT.test(month)) {
+        return res.status(400).json({
+          error: "Invalid month",
+          format: "YYYY-MM",
+          received: month,
+        });
+      }
+
+      let query = supabaseAdmin
+        .from("property_goals")
+        .select("id, metric, month, target, tolerance")
+        .eq("ga4_connection_id", connectionId)
+        .eq("user_id", req.user.id)
+        .order("month", { ascending: false });
+      if (month) query = query.eq("month", month);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      res.json({ goals: data || [] });
+    } catch (error) {
+      console.error("Get goals error:", error);
+      res.status(500).json({ error: "Failed to fetch goals" });
+    }
+  }
+);
+
+/**
+ * ROUTE: Set a monthly goal (one per metric and month)
+ * PUT /api/ga4/connections/:connectionId/goals
+ *
+ * Expected body:
+ * {
+ *   metric: "conversions",   // 'sessions', 'conversions' or 'totalRevenue'
+ *   month: "2026-10",        // YYYY-MM
+ *   target: 1200,            // total for the month
+ *   tolerance: 0.1           // optional, alert when projected ±10% off target
+ * }
+ */
+router.put(
+  "/connections/:connectionId/goals",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { connectionId } = req.params;
+      const userId = req.user.id;
+      const { metric, month, target } = req.body;
+      const tolerance = req.body.tolerance ?? DEFAULT_GOAL_TOLERANCE;
+
+      if (!GOAL_METRICS.includes(metric)) {
+        return res.status(400).json({
+          error: "Invalid metric",
+          allowed: GOAL_METRICS,
+          received: metric,
+        });
+      }
+
+      if (typeof month !== "string" || !MONTH_FORMAT.test(month)) {
+        return res.status(400).json({
+          error: "Invalid month",
+          format: "YYYY-MM",
+          received: month,
+        });
+      }
+
+      if (typeof target !== "number" || !(target > 0)) {
+        return res.status(400).json({
+          error: "Invalid target",
+          format: "Positive number (total for the month)",
+          received: target,
+        });
+      }
+
+      if (typeof tolerance !== "number" || tolerance < 0 || tolerance > 1) {
+        return res.status(400).json({
+          error: "Invalid tolerance",
+          format: "Fraction between 0 and 1 (0.1 = ±10%)",
+          received: tolerance,
+        });
+      }
+
+      const { data: connection, error: fetchError } = await supabaseAdmin
+        .from("ga4_connections")
+        .select("id")
+        .eq("id", connectionId)
+        .eq("user_id", userId)
+        .single();
+
+      if (fetchError || !connection) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("property_goals")
+        .upsert(
+          {
+            user_id: userId,
+            ga4_connection_id: connectionId,
+            metric,
+            month,
+            target,
+            tolerance,
+          },
+          { onConflict: "ga4_connection_id,metric,month" }
+        )
+        .select("id, metric, month, target, tolerance")
+        .single();
+
+      if (error) throw error;
+
+      res.json({ success: true, goal: data });
+    } catch (error) {
+      console.error("Save goal error:", error);
+      res.status(500).json({ error: "Failed to save goal" });
+    }
+  }
+);
+
+/**
+ * ROUTE: Delete a goal
+ * DELETE /api/ga4/connections/:connectionId/goals/:goalId
+ */
+router.delete(
+  "/connections/:connectionId/goals/:goalId",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { connectionId, goalId } = req.params;
+
+      const { data, error } = await supabaseAdmin
+        .from("property_goals")
+        .delete()
+        .eq("id", goalId)
+        .eq("ga4_connection_id", connectionId)
+        .eq("user_id", req.user.id)
+        .select("id");
+
+      if (error) throw error;
+
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: "Goal not found" });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Delete goal error:", error);
+      res.status(500).json({ error: "Failed to delete goal" });
+    }
+  }
+);
+
 /**
  * ROUTE: Disconnect GA4 property
  * DELETE /api/ga4/disconnect/:connectionId
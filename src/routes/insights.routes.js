@@ -2,9 +2,24 @@
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.middleware.js';
 import { supabaseAdmin } from '../services/supabase.service.js';
+import {
+  feedbackService,
+  FEEDBACK_RATINGS,
+} from '../services/feedback.service.js';
+import { ga4Service } from '../services/ga4.service.js';
+import {
+  insightsService,
+  ANALYZED_METRICS,
+} from '../services/insights.service.js';
+import { forecastService } from '../services/forecast.service.js';
+import { getLookbackDays } from '../config/subscriptions.js';
 
 const router = express.Router();
 
+const MIN_FORECAST_DAYS = 7;
+const MAX_FORECAST_DAYS = 30;
+const DEFAULT_FORECAST_DAYS = 14;
+
 // GET /api/insights/status - Dashboard widget data
 router.get('/status', authenticateUser, async (req, res) => {
   try {
@@ -59,4 +74,276 @@ router.get('/today', authenticateUser, (req, res) => {
   res.json({ message: 'Today\'s insights - coming in Day 5-7' });
 });
 
+// One-click rating pages (no login; the signature proves the link is ours)
+const RATING_LABELS = {
+  useful: '👍 Useful',
+  expected: '🤷 Expected',
+  not_useful: '👎 Not useful',
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
+const feedbackPage = (content) =>
+  `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>GobbleData</title></head>` +
+  `<body style="font-family: sans-serif; text-align: center; padding: 60px 20px; color: #1f2937;">` +
+  `<h1>🔥 GobbleData</h1>${content}` +
+  `<p><a href="https://app.gobbledata.com" style="color: #667eea;">Open dashboard</a></p></body></html>`;
+
+const isValidFeedbackLink = ({ insight, rating, sig }) =>
+  Boolean(insight) &&
+  FEEDBACK_RATINGS.includes(rating) &&
+  feedbackService.verifySignature(insight, rating, sig);
+
+// GET /api/insights/feedback?insight=...&rating=useful&sig=... - The email's
+// rating link. Only shows a confirmation form: mail scanners and link
+// prefetchers open every link in a message, so nothing is recorded on GET.
+router.get('/feedback', (req, res) => {
+  const { insight, rating, sig } = req.query;
+
+  if (!isValidFeedbackLink(req.query)) {
+    return res
+      .status(400)
+      .send(feedbackPage('<p>This feedback link is invalid.</p>'));
+  }
+
+  const hidden = Object.entries({ insight, rating, sig })
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`
+    )
+    .join('');
+
+  res.send(
+    feedbackPage(
+      `<p>Rate this insight as <strong>${RATING_LABELS[rating]}</strong>?</p>` +
+        `<form method="POST" action="/api/insights/feedback">${hidden}` +
+        `<button type="submit" style="background: #667eea; color: white; border: 0; padding: 12px 24px; border-radius: 6px; font-size: 16px; cursor: pointer;">Confirm</button>` +
+        `</form>`
+    )
+  );
+});
+
+// POST /api/insights/feedback - Records the rating confirmed on the page
+// above (form body: insight, rating, sig)
+router.post('/feedback', async (req, res) => {
+  const { insight, rating } = req.body || {};
+
+  if (!isValidFeedbackLink(req.body || {})) {
+    return res
+      .status(400)
+      .send(feedbackPage('<p>This feedback link is invalid.</p>'));
+  }
+
+  try {
+    const saved = await feedbackService.recordFeedback({
+      insightId: insight,
+      rating,
+      source: 'email',
+    });
+
+    if (!saved) {
+      return res
+        .status(404)
+        .send(feedbackPage('<p>That insight no longer exists.</p>'));
+    }
+
+    res.send(
+      feedbackPage('<p>Thanks! Your feedback helps tune future insights.</p>')
+    );
+  } catch (error) {
+    console.error('Email feedback error:', error);
+    res
+      .status(500)
+      .send(feedbackPage('<p>Something went wrong - please try again.</p>'));
+  }
+});
+
+// GET /api/insights/feedback/summary?connectionId=... - Ratings per insight
+// type and the tuning they currently apply
+router.get('/feedback/summary', authenticateUser, async (req, res) => {
+  try {
+    const { connectionId } = req.query;
+
+    const { data: connection, error } = await supabaseAdmin
+      .from('ga4_connections')
+      .select('id, analysis_settings')
+      .eq('id', connectionId)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    const summary = await feedbackService.getFeedbackSummary(connection.id);
+
+    res.json({
+      summary,
+      tuning: feedbackService.calculateTuning(
+        summary,
+        connection.analysis_settings || {}
+      ),
+    });
+  } catch (error) {
+    console.error('Feedback summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch feedback summary' });
+  }
+});
+
+// GET /api/insights/forecast?connectionId=...&days=14&metrics=sessions,conversions
+// Expected values per metric for the next 7-30 days (95%/99% bands), plus
+// the expected line over the history it was fitted on (the tier's lookback).
+// metrics defaults to every metric the property collects.
+router.get('/forecast', authenticateUser, async (req, res) => {
+  try {
+    const { connectionId } = req.query;
+    const days =
+      req.query.days === undefined
+        ? DEFAULT_FORECAST_DAYS
+        : Number(req.query.days);
+    const requestedMetrics = req.query.metrics
+      ? String(req.query.metrics).split(',')
+      : null;
+
+    if (
+      !Number.isInteger(days) ||
+      days < MIN_FORECAST_DAYS ||
+      days > MAX_FORECAST_DAYS
+    ) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        format: `Whole number of days from ${MIN_FORECAST_DAYS} to ${MAX_FORECAST_DAYS}`,
+        received: req.query.days,
+      });
+    }
+
+    if (
+      requestedMetrics &&
+      !requestedMetrics.every((metric) => ANALYZED_METRICS.includes(metric))
+    ) {
+      return res.status(400).json({
+        error: 'Invalid metrics',
+        allowed: ANALYZED_METRICS,
+        received: req.query.metrics,
+      });
+    }
+
+    const { data: connection, error } = await supabaseAdmin
+      .from('ga4_connections')
+      .select('id, property_id, access_token, refresh_token')
+      .eq('id', connectionId)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true)
+      .single();
+
+    if (error || !connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    const { data: userProfile } = await supabaseAdmin
+      .from('user_profiles')
+      .select('subscription_tier')
+      .eq('id', req.user.id)
+      .single();
+    const lookbackDays = getLookbackDays(userProfile?.subscription_tier);
+
+    const metrics = await ga4Service.fetchMetrics(
+      connection.property_id,
+      connection.access_token,
+      connection.refresh_token,
+      { startDate: `${lookbackDays}daysAgo`, endDate: 'yesterday' }
+    );
+
+    if (metrics.tokenRefreshed && metrics.newAccessToken) {
+      await supabaseAdmin
+        .from('ga4_connections')
+        .update({
+          access_token: metrics.newAccessToken,
+          token_expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+        })
+        .eq('id', connection.id);
+    }
+
+    const dailyData = (metrics.hasData ? metrics.daily : [])
+      .slice()
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((day) => insightsService.addDerivedMetrics(day));
+
+    if (dailyData.length < forecastService.minTrainingPoints()) {
+      return res.status(422).json({
+        error: 'Not enough history to forecast',
+        required: forecastService.minTrainingPoints(),
+        received: dailyData.length,
+      });
+    }
+
+    // Metrics the property doesn't collect (e.g. revenue on lead-gen) are
+    // left out unless asked for
+    const metricNames =
+      requestedMetrics ||
+      ANALYZED_METRICS.filter((metric) =>
+        dailyData.some((d) => (d[metric] || 0) !== 0)
+      );
+
+    const forecasts = {};
+    for (const metric of [...new Set(metricNames)]) {
+      forecasts[metric] = forecastService.forecastDaily(
+        dailyData,
+        metric,
+        days
+      );
+    }
+
+    res.json({
+      connectionId: connection.id,
+      days,
+      currency: metrics.currencyCode || null,
+      historyStart: dailyData[0].date,
+      historyEnd: dailyData[dailyData.length - 1].date,
+      forecasts,
+    });
+  } catch (error) {
+    console.error('Forecast error:', error);
+    res.status(500).json({ error: 'Failed to build forecast' });
+  }
+});
+
+// POST /api/insights/:insightId/feedback - Rate an insight from the app
+// Body: { rating: 'useful' | 'not_useful' | 'expected' }
+router.post('/:insightId/feedback', authenticateUser, async (req, res) => {
+  try {
+    const { rating } = req.body;
+
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({
+        error: 'Invalid rating',
+        allowed: FEEDBACK_RATINGS,
+        received: rating,
+      });
+    }
+
+    const saved = await feedbackService.recordFeedback({
+      insightId: req.params.insightId,
+      userId: req.user.id,
+      rating,
+      source: 'app',
+    });
+
+    if (!saved) {
+      return res.status(404).json({ error: 'Insight not found' });
+    }
+
+    res.json({ success: true, feedback: saved });
+  } catch (error) {
+    console.error('Insight feedback error:', error);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,152 @@
+// Playbooks Routes - the action items shown on each account's insights
+import express from "express";
+import { authenticateUser } from "../middleware/auth.middleware.js";
+import { playbooksService } from "../services/playbooks.service.js";
+import { insightsService } from "../services/insights.service.js";
+import {
+  INDUSTRY_PLAYBOOKS,
+  INDUSTRIES,
+  PLAYBOOK_KEYS,
+  PLAYBOOK_VARIABLES,
+} from "../config/playbooks.js";
+
+const router = express.Router();
+
+const MAX_ACTIONS_PER_KEY = 5;
+const MAX_ACTION_LENGTH = 200;
+
+/**
+ * Helper: Is this a list of action texts using only known {variables}?
+ */
+function isValidActionList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.length <= MAX_ACTIONS_PER_KEY &&
+    value.every(
+      (text) =>
+        typeof text === "string" &&
+        text.trim().length > 0 &&
+        !text.includes("\n") &&
+        text.length <= MAX_ACTION_LENGTH &&
+        [...text.matchAll(/\{(\w+)\}/g)].every(
+          ([, name]) => name in PLAYBOOK_VARIABLES
+        )
+    )
+  );
+}
+
+/**
+ * ROUTE: Industry presets (for the onboarding picker)
+ * GET /api/playbooks/presets
+ */
+router.get("/presets", authenticateUser, (req, res) => {
+  res.json({
+    presets: INDUSTRIES.map((industry) => ({
+      industry,
+      label: INDUSTRY_PLAYBOOKS[industry].label,
+      description: INDUSTRY_PLAYBOOKS[industry].description,
+    })),
+  });
+});
+
+/**
+ * ROUTE: The account's playbook
+ * GET /api/playbooks
+ * Returns the saved edits plus the effective library (defaults + preset +
+ * edits) and the variables action text can use
+ */
+router.get("/", authenticateUser, async (req, res) => {
+  try {
+    const playbook = await playbooksService.getPlaybook(req.user.id);
+
+    res.json({
+      industry: playbook.industry,
+      actions: playbook.actions,
+      library: insightsService.getPlaybookLibrary(playbook),
+      variables: Object.keys(PLAYBOOK_VARIABLES),
+    });
+  } catch (error) {
+    console.error("Get playbook error:", error);
+    res.status(500).json({ error: "Failed to fetch playbook" });
+  }
+});
+
+/**
+ * ROUTE: Pick an industry preset and/or edit action items
+ * PUT /api/playbooks
+ * Called from onboarding (industry) and the playbook editor (actions)
+ *
+ * Expected body (all optional):
+ * {
+ *   industry: "saas",                       // preset (null = defaults only)
+ *   actions: {
+ *     sessions_down: ["Check {topChannel} campaigns", "..."],
+ *     bounceRate_up: null                   // back to the preset/default
+ *   }
+ * }
+ */
+router.put("/", authenticateUser, async (req, res) => {
+  try {
+    const { industry, actions } = req.body;
+
+    if (
+      industry !== undefined &&
+      industry !== null &&
+      !INDUSTRIES.includes(industry)
+    ) {
+      return res.status(400).json({
+        error: "Invalid industry",
+        allowed: INDUSTRIES,
+        received: industry,
+      });
+    }
+
+    if (actions !== undefined) {
+      const invalid = Object.entries(actions || {}).filter(
+        ([key, value]) =>
+          !PLAYBOOK_KEYS.includes(key) ||
+          (value !== null && !isValidActionList(value))
+      );
+
+      if (!actions || typeof actions !== "object" || invalid.length) {
+        return res.status(400).json({
+          error: "Invalid actions",
+          format: `Map of action key to 1-${MAX_ACTIONS_PER_KEY} texts (up to ${MAX_ACTION_LENGTH} characters, null = reset)`,
+          allowed: {
+            keys: PLAYBOOK_KEYS,
+            variables: Object.keys(PLAYBOOK_VARIABLES),
+          },
+          received: invalid.map(([key]) => key),
+        });
+      }
+    }
+
+    // Merge so unrelated edits are left untouched (a failed read is a 500,
+    // not an empty playbook saved over the stored one)
+    const current = await playbooksService.getPlaybook(req.user.id, {
+      strict: true,
+    });
+    const merged = { ...current.actions, ...(actions || {}) };
+    const playbook = await playbooksService.savePlaybook(req.user.id, {
+      industry: industry !== undefined ? industry : current.industry,
+      actions: Object.fromEntries(
+        Object.entries(merged)
+          .filter(([, value]) => value !== null)
+          .map(([key, value]) => [key, value.map((text) => text.trim())])
+      ),
+    });
+
+    res.json({
+      success: true,
+      industry: playbook.industry,
+      actions: playbook.actions,
+      library: insightsService.getPlaybookLibrary(playbook),
+    });
+  } catch (error) {
+    console.error("Update playbook error:", error);
+    res.status(500).json({ error: "Failed to update playbook" });
+  }
+});
+
+export default router;
@@ -23,6 +23,10 @@ console.log("✅ Step 4.5: Stripe routes imported");
 import schedulerRoutes from "./routes/scheduler.routes.js";
 import emailPreferencesRoutes from "./routes/email-preferences.routes.js";
 console.log("✅ Step 4.6: Email preferences routes imported");
+import annotationsRoutes from "./routes/annotations.routes.js";
+console.log("✅ Step 4.7: Annotations routes imported");
+import playbooksRoutes from "./routes/playbooks.routes.js";
+console.log("✅ Step 4.8: Playbooks routes imported");
 
 // Scheduler
 import {
@@ -203,6 +207,12 @@ console.log("  ✅ Scheduler routes registered");
 app.use("/api/email-preferences", emailPreferencesRoutes);
 console.log("  ✅ Email preferences routes registered");
 
+app.use("/api/annotations", annotationsRoutes);
+console.log("  ✅ Annotations routes registered");
+
+app.use("/api/playbooks", playbooksRoutes);
+console.log("  ✅ Playbooks routes registered");
+
 // ==================================================
 // ERROR HANDLERS
 // ==================================================
@@ -0,0 +1,153 @@
+// Annotations Service - Campaigns, sales and holidays that explain anomalies
+// User annotations live in the `annotations` table:
+//   id, user_id, ga4_connection_id, start_date, end_date, label,
+//   expected_impact (signed fraction, e.g. 0.3 = +30%; optional)
+// Holidays come from the built-in calendars in config/holidays.js
+import { supabaseAdmin } from "./supabase.service.js";
+import { HOLIDAY_CALENDARS } from "../config/holidays.js";
+
+export const annotationsService = {
+  /**
+   * User annotations for a property that overlap a date range
+   * @returns {Array} [{ id, startDate, endDate, label, expectedImpact, source }]
+   */
+  async getAnnotations(connectionId, startDate, endDate) {
+    let query = supabaseAdmin
+      .from("annotations")
+      .select("id, start_date, end_date, label, expected_impact")
+      .eq("ga4_connection_id", connectionId)
+      .order("start_date", { ascending: true });
+
+    // Overlap: starts before the range ends and ends after it starts
+    if (endDate) query = query.lte("start_date", endDate);
+    if (startDate) query = query.gte("end_date", startDate);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map((row) => this.fromRow(row));
+  },
+
+  /**
+   * Annotations plus the property's holidays, ready for analyzeMetrics
+   * Failures are logged and treated as "no annotations"
+   */
+  async getAnalysisAnnotations(connection, startDate, endDate) {
+    const holidays = this.getHolidays(
+      connection.analysis_settings?.holidayCountry,
+      startDate,
+      endDate
+    );
+
+    try {
+      const annotations = await this.getAnnotations(
+        connection.id,
+        startDate,
+        endDate
+      );
+      return [...annotations, ...holidays];
+    } catch (error) {
+      console.error("⚠️  Could not load annotations:", error.message);
+      return holidays;
+    }
+  },
+
+  /**
+   * Map a database row to the shape the insights engine uses
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      startDate: row.start_date,
+      endDate: row.end_date || row.start_date,
+      label: row.label,
+      expectedImpact: row.expected_impact ?? null,
+      source: "annotation",
+    };
+  },
+
+  /**
+   * Built-in holidays for a country between two YYYY-MM-DD dates
+   * @returns {Array} [{ startDate, endDate, label, expectedImpact, source }]
+   */
+  getHolidays(country, startDate, endDate) {
+    const calendar = HOLIDAY_CALENDARS[country];
+    if (!calendar || !startDate || !endDate) return [];
+
+    const firstYear = Number(startDate.slice(0, 4));
+    const lastYear = Number(endDate.slice(0, 4));
+
+    const holidays = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      for (const rule of calendar) {
+        const date = this.resolveHolidayDate(rule, year);
+        if (date < startDate || date > endDate) continue;
+
+        holidays.push({
+          startDate: date,
+          endDate: date,
+          label: rule.label,
+          expectedImpact: null,
+          source: "holiday",
+        });
+      }
+    }
+
+    return holidays.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  },
+
+  /**
+   * Date (YYYY-MM-DD) of a holiday rule in a given year
+   */
+  resolveHolidayDate(rule, year) {
+    let date;
+
+    if (rule.easter !== undefined) {
+      date = this.getEasterSunday(year);
+      date.setUTCDate(date.getUTCDate() + rule.easter);
+    } else if (rule.nth !== undefined) {
+      if (rule.nth > 0) {
+        date = new Date(Date.UTC(year, rule.month - 1, 1));
+        const shift = (rule.weekday - date.getUTCDay() + 7) % 7;
+        date.setUTCDate(1 + shift + (rule.nth - 1) * 7);
+      } else {
+        // Last weekday of the month
+        date = new Date(Date.UTC(year, rule.month, 0));
+        const shift = (date.getUTCDay() - rule.weekday + 7) % 7;
+        date.setUTCDate(date.getUTCDate() - shift);
+      }
+    } else {
+      date = new Date(Date.UTC(year, rule.month - 1, rule.day));
+      if (rule.weekdayBefore !== undefined) {
+        const shift = (date.getUTCDay() - rule.weekdayBefore + 7) % 7;
+        date.setUTCDate(date.getUTCDate() - shift);
+      }
+    }
+
+    if (rule.offset) date.setUTCDate(date.getUTCDate() + rule.offset);
+
+    return date.toISOString().split("T")[0];
+  },
+
+  /**
+   * Easter Sunday (Gregorian, anonymous algorithm)
+   */
+  getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(Date.UTC(year, month - 1, day));
+  },
+};
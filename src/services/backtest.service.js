@@ -0,0 +1,292 @@
+// Backtest Service - Replays stored daily series through the insights engine
+// to measure how a detector configuration would have performed: precision,
+// recall and alert volume against the property's labelled incidents
+//
+// Table: daily_metrics (written by the scheduler on every run)
+//   ga4_connection_id, date, metrics (GA4 daily row, JSON)
+// Labels are the property's annotations and its rated insights
+// (insight_feedback): an alert that lands inside an annotation window
+// (± LABEL_GRACE_DAYS), or on the incident of an insight rated "useful", is a
+// hit; one on the incident of an insight rated "not_useful" is a false alarm
+// even inside an annotation, and any other alert is a false alarm too.
+// "Expected" ratings (true, but not news) label neither way.
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+import { annotationsService } from "./annotations.service.js";
+
+const REPLAY_WINDOW = 30; // Days of history per replayed run (growth lookback)
+const MIN_HISTORY = 14; // First replayed run needs two weeks of data
+const LABEL_GRACE_DAYS = 1; // Alerts a day either side still count as hits
+const DEFAULT_BACKTEST_DAYS = 90;
+
+// Compared when no configurations are passed in
+export const DEFAULT_BACKTEST_CONFIGS = [
+  { name: "zscore-mean", detector: "zscore", baselineMode: "mean" },
+  { name: "zscore-robust", detector: "zscore", baselineMode: "robust" },
+  {
+    name: "zscore-robust-z2",
+    detector: "zscore",
+    baselineMode: "robust",
+    zScoreThreshold: 2,
+  },
+  { name: "forecast-95", detector: "forecast", predictionInterval: 95 },
+  { name: "forecast-99", detector: "forecast", predictionInterval: 99 },
+  { name: "zscore+forecast", detector: ["zscore", "forecast"] },
+];
+
+export const backtestService = {
+  /**
+   * Store a run's daily series (re-fetched days overwrite older values)
+   * Failures are logged - backtesting data is never worth failing a run
+   */
+  async saveDailySeries(connectionId, dailyData) {
+    const rows = dailyData.map(({ date, ...metrics }) => ({
+      ga4_connection_id: connectionId,
+      date,
+      metrics,
+    }));
+
+    const { error } = await supabaseAdmin
+      .from("daily_metrics")
+      .upsert(rows, { onConflict: "ga4_connection_id,date" });
+
+    if (error) {
+      console.error("⚠️  Could not store daily metrics:", error.message);
+    }
+  },
+
+  /**
+   * Stored daily series for a property, oldest first
+   */
+  async getDailySeries(connectionId, startDate, endDate) {
+    const { data, error } = await supabaseAdmin
+      .from("daily_metrics")
+      .select("date, metrics")
+      .eq("ga4_connection_id", connectionId)
+      .gte("date", startDate)
+      .lte("date", endDate)
+      .order("date", { ascending: true });
+
+    if (error) throw error;
+
+    return (data || []).map((row) => ({ date: row.date, ...row.metrics }));
+  },
+
+  /**
+   * Backtest a property over its last `days` of stored data
+   * @param {object} connection - ga4_connections row
+   * @param {object} options - { days, configs, endDate, logger }
+   *   configs: [{ name, ...analysis settings }] layered over the property's
+   *   own analysis_settings; logger is passed to every replayed run (see
+   *   insightsService.analyzeMetrics)
+   * @returns {object} { startDate, endDate, daysReplayed, labels,
+   *   ratedUseful, ratedNotUseful, results }
+   */
+  async run(connection, options = {}) {
+    const days = options.days || DEFAULT_BACKTEST_DAYS;
+    const configs = options.configs || DEFAULT_BACKTEST_CONFIGS;
+
+    const end = options.endDate ? new Date(options.endDate) : new Date();
+    const start = new Date(end);
+    start.setDate(start.getDate() - days + 1);
+    const startDate = start.toISOString().split("T")[0];
+    const endDate = end.toISOString().split("T")[0];
+
+    const dailyData = await this.getDailySeries(
+      connection.id,
+      startDate,
+      endDate
+    );
+    if (dailyData.length < MIN_HISTORY) {
+      throw new Error(
+        `Need at least ${MIN_HISTORY} stored days to backtest (found ${dailyData.length})`
+      );
+    }
+
+    // Only user annotations are labels - holidays aren't incidents
+    const labels = await annotationsService.getAnnotations(
+      connection.id,
+      startDate,
+      endDate
+    );
+    const feedback = await this.getFeedbackLabels(
+      connection.id,
+      startDate,
+      endDate
+    );
+
+    const daysReplayed = dailyData.length - MIN_HISTORY + 1;
+    const results = [];
+    for (const { name, ...settings } of configs) {
+      const alerts = await this.replay(dailyData, {
+        ...(connection.analysis_settings || {}),
+        ...settings,
+        ...(options.logger ? { logger: options.logger } : {}),
+      });
+      results.push({
+        name,
+        settings,
+        ...this.score(alerts, labels, daysReplayed, feedback),
+      });
+    }
+
+    return {
+      startDate,
+      endDate,
+      daysReplayed,
+      labels: labels.length,
+      ratedUseful: feedback.incidents.length,
+      ratedNotUseful: feedback.falseAlarms.length,
+      results,
+    };
+  },
+
+  /**
+   * Rated insights in range, as labels on their incident
+   * @returns {object} { incidents, falseAlarms } - "useful" and "not_useful"
+   *   ratings: [{ key, startDate, endDate }] (key as getIncidentKey)
+   */
+  async getFeedbackLabels(connectionId, startDate, endDate) {
+    const { data: ratings, error } = await supabaseAdmin
+      .from("insight_feedback")
+      .select("daily_insight_id, rating")
+      .eq("ga4_connection_id", connectionId)
+      .in("rating", ["useful", "not_useful"]);
+
+    if (error) throw error;
+    if (!ratings || ratings.length === 0) {
+      return { incidents: [], falseAlarms: [] };
+    }
+
+    const { data: rows, error: insightsError } = await supabaseAdmin
+      .from("daily_insights")
+      .select("id, insight_date, metric_name, direction, supporting_data")
+      .in(
+        "id",
+        ratings.map((r) => r.daily_insight_id)
+      )
+      .gte("insight_date", startDate)
+      .lte("insight_date", endDate);
+
+    if (insightsError) throw insightsError;
+
+    const labels = { incidents: [], falseAlarms: [] };
+    for (const row of rows || []) {
+      const data = row.supporting_data || {};
+      // Pacing, tracking and recovery cards aren't engine alerts
+      if (
+        data.pacing ||
+        data.trackingIssue ||
+        data.lifecycle?.status === "recovered"
+      ) {
+        continue;
+      }
+
+      const { rating } = ratings.find((r) => r.daily_insight_id === row.id);
+      (rating === "useful" ? labels.incidents : labels.falseAlarms).push({
+        key: insightsService.getIncidentKey({
+          metric: row.metric_name,
+          direction: row.direction,
+          pattern: data.pattern,
+          page: data.page,
+          event: data.event,
+        }),
+        startDate: data.lifecycle?.startDate || row.insight_date,
+        endDate: row.insight_date,
+      });
+    }
+
+    return labels;
+  },
+
+  /**
+   * Run the engine once per day, as the scheduler would have
+   * Annotations are left out: they're the labels, so using them to suppress
+   * anomalies would grade the detector on its own answers
+   * @returns {Array} Unique alerts: { key, incidentKey, date, metric,
+   *   pattern, direction, detector }
+   */
+  async replay(dailyData, settings) {
+    const alerts = new Map();
+
+    for (let end = MIN_HISTORY; end <= dailyData.length; end++) {
+      const window = dailyData.slice(Math.max(0, end - REPLAY_WINDOW), end);
+      const insights = await insightsService.analyzeMetrics(window, {
+        ...settings,
+        annotations: [],
+      });
+
+      // The same anomaly stays in the window for a few runs; count it once
+      for (const insight of insights) {
+        const incidentKey = insightsService.getIncidentKey(insight);
+        const key = `${incidentKey}:${insight.date}`;
+        if (alerts.has(key)) continue;
+
+        alerts.set(key, {
+          key,
+          incidentKey,
+          date: insight.date,
+          metric: insight.metric,
+          pattern: insight.pattern || null,
+          direction: insight.direction,
+          detector: insight.detector,
+        });
+      }
+    }
+
+    return [...alerts.values()];
+  },
+
+  /**
+   * Precision, recall and alert volume for one configuration
+   * - precision: share of alerts that are hits (see the header)
+   * - recall: share of annotations and "useful" ratings with a hit
+   * @param {object} feedback - getFeedbackLabels()
+   */
+  score(
+    alerts,
+    labels,
+    daysReplayed,
+    feedback = { incidents: [], falseAlarms: [] }
+  ) {
+    const isInside = (alert, label) =>
+      insightsService.daysBetween(label.startDate, alert.date) >=
+        -LABEL_GRACE_DAYS &&
+      insightsService.daysBetween(alert.date, label.endDate) >=
+        -LABEL_GRACE_DAYS;
+    const isRated = (alert, label) =>
+      alert.incidentKey === label.key && isInside(alert, label);
+
+    const ratedFalseAlarms = alerts.filter((alert) =>
+      feedback.falseAlarms.some((label) => isRated(alert, label))
+    );
+    const hits = alerts.filter(
+      (alert) =>
+        !ratedFalseAlarms.includes(alert) &&
+        (labels.some((label) => isInside(alert, label)) ||
+          feedback.incidents.some((label) => isRated(alert, label)))
+    );
+    const labelsDetected =
+      labels.filter((label) => hits.some((alert) => isInside(alert, label)))
+        .length +
+      feedback.incidents.filter((label) =>
+        hits.some((alert) => isRated(alert, label))
+      ).length;
+    const labelCount = labels.length + feedback.incidents.length;
+
+    return {
+      alerts: alerts.length,
+      truePositives: hits.length,
+      falsePositives: alerts.length - hits.length,
+      ratedFalseAlarms: ratedFalseAlarms.length,
+      labelsDetected,
+      precision: alerts.length > 0 ? hits.length / alerts.length : null,
+      recall: labelCount > 0 ? labelsDetected / labelCount : null,
+      alertsPerWeek: daysReplayed > 0 ? (alerts.length / daysReplayed) * 7 : 0,
+      byDetector: alerts.reduce((acc, alert) => {
+        acc[alert.detector] = (acc[alert.detector] || 0) + 1;
+        return acc;
+      }, {}),
+    };
+  },
+};
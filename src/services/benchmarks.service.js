@@ -0,0 +1,376 @@
+// Benchmarks Service - Anonymous percentiles for "is a 55% engagement rate
+// good?", per industry and size band
+// Properties opt in (analysis_settings.benchmarkOptIn) and only opted-in
+// properties see benchmarks. Each one contributes its rates over the last
+// BENCHMARK_WINDOW days of stored daily_metrics; only the percentile
+// distribution of a cohort is stored, and only when the cohort is big enough
+// that no single property or account can be picked out (k-anonymity).
+// Industry is the account's playbook preset; cohorts without enough
+// properties fall back to all sizes, then all industries. The distributions
+// are rebuilt nightly (runBenchmarksJob).
+//
+// Table: benchmark_distributions
+//   industry (preset or "all"), size_band (or "all"), metric,
+//   property_count, p10, p25, p50, p75, p90, computed_at
+//   unique (industry, size_band, metric)
+import { supabaseAdmin } from "./supabase.service.js";
+import { backtestService } from "./backtest.service.js";
+import { digestService } from "./digest.service.js";
+import { insightsService } from "./insights.service.js";
+import { INDUSTRY_PLAYBOOKS } from "../config/playbooks.js";
+
+export const BENCHMARK_METRICS = [
+  "engagementRate",
+  "bounceRate",
+  "conversionRate",
+];
+const ALL = "all";
+export const BENCHMARK_WINDOW = 28; // Days each property's rates cover
+const MIN_BENCHMARK_DAYS = 14; // Stored days a property needs to take part
+const K_ANONYMITY = 10; // Properties per published cohort...
+const MIN_ACCOUNTS = 5; // ...from at least this many accounts
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// Size bands by average sessions per day
+const SIZE_BANDS = [
+  { name: "small", max: 100, label: "under 100 sessions a day" },
+  { name: "medium", max: 1000, label: "100-1,000 sessions a day" },
+  { name: "large", max: 10000, label: "1,000-10,000 sessions a day" },
+  { name: "xlarge", max: Infinity, label: "10,000+ sessions a day" },
+];
+
+/**
+ * YYYY-MM-DD for `days` days before today (UTC)
+ */
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split("T")[0];
+}
+
+export const benchmarksService = {
+  /**
+   * A property's size band and rates over a run of daily rows
+   * @returns {object|null} { sizeBand, values: { metric: rate } } - null
+   *   with too little data; conversionRate is left out without conversions
+   */
+  getPropertyProfile(dailyData) {
+    const days = (dailyData || [])
+      .slice()
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(-BENCHMARK_WINDOW);
+    if (days.length < MIN_BENCHMARK_DAYS) return null;
+
+    const totals = digestService.summarize(days);
+    if (!(totals.sessions > 0)) return null;
+
+    const sessionsPerDay = totals.sessions / days.length;
+    const values = {};
+    for (const metric of BENCHMARK_METRICS) {
+      if (metric === "conversionRate" && !(totals.conversions > 0)) continue;
+      values[metric] = totals[metric];
+    }
+
+    return {
+      sizeBand: SIZE_BANDS.find((band) => sessionsPerDay < band.max).name,
+      values,
+    };
+  },
+
+  /**
+   * Value at a percentile of a sorted list (linear interpolation)
+   */
+  percentile(sorted, p) {
+    const index = ((sorted.length - 1) * p) / 100;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  },
+
+  /**
+   * Distributions for every cohort big enough to publish
+   * @param {Array} profiles - [{ userId, industry, sizeBand, values }]
+   * @returns {Array} benchmark_distributions rows (without computed_at)
+   */
+  calculateDistributions(profiles) {
+    const cohorts = new Map();
+    for (const profile of profiles) {
+      const industries = profile.industry ? [profile.industry, ALL] : [ALL];
+      for (const industry of industries) {
+        for (const sizeBand of [profile.sizeBand, ALL]) {
+          const key = `${industry}|${sizeBand}`;
+          if (!cohorts.has(key)) cohorts.set(key, []);
+          cohorts.get(key).push(profile);
+        }
+      }
+    }
+
+    const rows = [];
+    for (const [key, members] of cohorts) {
+      const [industry, sizeBand] = key.split("|");
+
+      for (const metric of BENCHMARK_METRICS) {
+        const contributing = members.filter((m) => metric in m.values);
+        const accounts = new Set(contributing.map((m) => m.userId));
+        if (contributing.length < K_ANONYMITY || accounts.size < MIN_ACCOUNTS) {
+          continue;
+        }
+
+        const sorted = contributing
+          .map((m) => m.values[metric])
+          .sort((a, b) => a - b);
+        rows.push({
+          industry,
+          size_band: sizeBand,
+          metric,
+          property_count: contributing.length,
+          ...Object.fromEntries(
+            PERCENTILES.map((p) => [`p${p}`, this.percentile(sorted, p)])
+          ),
+        });
+      }
+    }
+
+    return rows;
+  },
+
+  /**
+   * Recompute every published distribution from opted-in properties
+   * (cohorts that fell below the k-anonymity floor are removed)
+   * @returns {object} { properties, distributions }
+   */
+  async computeBenchmarks() {
+    const { data: connections, error } = await supabaseAdmin
+      .from("ga4_connections")
+      .select("id, user_id, analysis_settings")
+      .eq("is_active", true);
+
+    if (error) throw error;
+
+    const optedIn = (connections || []).filter(
+      (c) => c.analysis_settings?.benchmarkOptIn === true
+    );
+    const userIds = [...new Set(optedIn.map((c) => c.user_id))];
+
+    const { data: playbooks, error: playbookError } = userIds.length
+      ? await supabaseAdmin
+          .from("action_playbooks")
+          .select("user_id, industry")
+          .in("user_id", userIds)
+      : { data: [], error: null };
+
+    if (playbookError) throw playbookError;
+
+    const industryByUser = new Map(
+      (playbooks || []).map((p) => [p.user_id, p.industry])
+    );
+
+    const startDate = daysAgo(BENCHMARK_WINDOW);
+    const endDate = daysAgo(1);
+    const profiles = [];
+    for (const connection of optedIn) {
+      try {
+        const profile = this.getPropertyProfile(
+          await backtestService.getDailySeries(
+            connection.id,
+            startDate,
+            endDate
+          )
+        );
+        if (!profile) continue;
+
+        profiles.push({
+          ...profile,
+          userId: connection.user_id,
+          industry: industryByUser.get(connection.user_id) || null,
+        });
+      } catch (error) {
+        console.error(
+          `⚠️  Benchmark data unavailable for ${connection.id}:`,
+          error.message
+        );
+      }
+    }
+
+    const computedAt = new Date().toISOString();
+    const rows = this.calculateDistributions(profiles).map((row) => ({
+      ...row,
+      computed_at: computedAt,
+    }));
+
+    if (rows.length > 0) {
+      const { error: saveError } = await supabaseAdmin
+        .from("benchmark_distributions")
+        .upsert(rows, { onConflict: "industry,size_band,metric" });
+      if (saveError) throw saveError;
+    }
+
+    const { error: cleanupError } = await supabaseAdmin
+      .from("benchmark_distributions")
+      .delete()
+      .lt("computed_at", computedAt);
+    if (cleanupError) throw cleanupError;
+
+    console.log(
+      `📏 Benchmarks: ${profiles.length} properties, ${rows.length} distributions`
+    );
+    return { properties: profiles.length, distributions: rows.length };
+  },
+
+  /**
+   * Approximate percentile of a value within a distribution (5 = bottom
+   * 10%, 95 = top 10%)
+   */
+  getPercentileRank(distribution, value) {
+    const points = PERCENTILES.map((p) => [p, distribution[`p${p}`]]);
+    if (value < points[0][1]) return 5;
+    if (value > points[points.length - 1][1]) return 95;
+
+    for (let i = 1; i < points.length; i++) {
+      const [lowP, lowValue] = points[i - 1];
+      const [highP, highValue] = points[i];
+      if (value <= highValue) {
+        return highValue > lowValue
+          ? Math.round(
+              lowP +
+                ((highP - lowP) * (value - lowValue)) / (highValue - lowValue)
+            )
+          : highP;
+      }
+    }
+    return 95;
+  },
+
+  /**
+   * Where a property sits among similar ones, per metric
+   * Uses the most specific published cohort: industry + size, industry,
+   * size, then everyone
+   * @param {Array} dailyData - The property's daily metrics
+   * @param {string|null} industry - The account's playbook preset
+   * @returns {object} { [metric]: { value, percentile, median, p25, p75,
+   *   cohort: { industry, sizeBand, propertyCount, label } } } - empty when
+   *   no cohort is published yet
+   */
+  async getPosition(dailyData, industry) {
+    const profile = this.getPropertyProfile(dailyData);
+    if (!profile) return {};
+
+    const industries = industry ? [industry, ALL] : [ALL];
+    const { data, error } = await supabaseAdmin
+      .from("benchmark_distributions")
+      .select("*")
+      .in("industry", industries)
+      .in("size_band", [profile.sizeBand, ALL]);
+
+    if (error) throw error;
+
+    const preference = [
+      [industry, profile.sizeBand],
+      [industry, ALL],
+      [ALL, profile.sizeBand],
+      [ALL, ALL],
+    ];
+
+    const position = {};
+    for (const [metric, value] of Object.entries(profile.values)) {
+      const distribution = preference
+        .map(([i, band]) =>
+          (data || []).find(
+            (row) =>
+              row.metric === metric &&
+              row.industry === i &&
+              row.size_band === band
+          )
+        )
+        .find(Boolean);
+      if (!distribution) continue;
+
+      position[metric] = {
+        value,
+        percentile: this.getPercentileRank(distribution, value),
+        median: distribution.p50,
+        p25: distribution.p25,
+        p75: distribution.p75,
+        cohort: {
+          industry: distribution.industry,
+          sizeBand: distribution.size_band,
+          propertyCount: distribution.property_count,
+          label: this.getCohortLabel(distribution),
+        },
+      };
+    }
+
+    return position;
+  },
+
+  /**
+   * e.g. "Ecommerce properties with 100-1,000 sessions a day"
+   */
+  getCohortLabel({ industry, size_band: sizeBand }) {
+    const name =
+      industry === ALL ? "" : `${INDUSTRY_PLAYBOOKS[industry]?.label} `;
+    const band = SIZE_BANDS.find((b) => b.name === sizeBand);
+    return `${name}properties${band ? ` with ${band.label}` : ""}`;
+  },
+
+  /**
+   * Explanation sentence for an insight on a benchmarked metric, e.g.
+   * "Over the last 28 days your Engagement Rate averaged 55.0%, the 64th
+   * percentile among 23 SaaS properties with 100-1,000 sessions a day
+   * (median 58.0%)."
+   */
+  describePosition(metric, position) {
+    const format = (value) => insightsService.formatMetricValue(metric, value);
+    const { percentile, cohort } = position;
+    const peers = `${cohort.propertyCount} ${cohort.label}`;
+    const rank =
+      percentile <= 5
+        ? `lower than 90% of ${peers}`
+        : percentile >= 95
+        ? `higher than 90% of ${peers}`
+        : `the ${percentile}${this.ordinalSuffix(
+            percentile
+          )} percentile among ${peers}`;
+
+    return `Over the last ${BENCHMARK_WINDOW} days your ${insightsService.getHumanMetricName(
+      metric
+    )} averaged ${format(position.value)}, ${rank} (median ${format(
+      position.median
+    )}).`;
+  },
+
+  /**
+   * Add the property's benchmark position to site-wide insights on a
+   * benchmarked metric (sets insight.benchmark, extends the explanation)
+   */
+  annotateInsights(insights, position) {
+    for (const insight of insights) {
+      const metricPosition = position[insight.metric];
+      if (
+        !metricPosition ||
+        insight.pattern ||
+        insight.page ||
+        insight.event ||
+        insight.pacing ||
+        insight.trackingIssue
+      ) {
+        continue;
+      }
+
+      insight.benchmark = metricPosition;
+      insight.explanation = `${insight.explanation} ${this.describePosition(
+        insight.metric,
+        metricPosition
+      )}`;
+    }
+    return insights;
+  },
+
+  /**
+   * "st", "nd", "rd" or "th"
+   */
+  ordinalSuffix(n) {
+    if (n % 100 >= 11 && n % 100 <= 13) return "th";
+    return { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  },
+};
@@ -0,0 +1,269 @@
+// Bot Traffic Service - Tells bot and referral-spam bursts apart from growth
+// A spam referrer or a crawler hitting the site looks like a traffic jump
+// in the daily totals. Broken down by source, hostname and country it
+// doesn't: the burst sits in one segment that normally sends little or
+// nothing, with near-zero engagement or a hostname that isn't the site.
+//
+// Bursts are found per day; insightsService labels the anomalies they drive
+// as bot traffic and, with analysis_settings.excludeBotTraffic, leaves the
+// burst days out of baselines (like annotated days)
+
+// Dimensions a burst is looked for in (label shown in the email)
+const BOT_DIMENSIONS = {
+  sessionSource: "source",
+  hostName: "hostname",
+  country: "country",
+};
+const BOT_METRICS = ["sessions", "engagedSessions"];
+
+const MIN_BURST_SESSIONS = 30; // Smaller bursts aren't worth a label
+const BURST_FACTOR = 3; // vs the segment's median day
+const MAX_BOT_ENGAGEMENT = 0.1; // Engaged sessions / sessions
+const MIN_BOT_SHARE = 0.1; // Of the day's sessions
+const SINGLE_SOURCE_SHARE = 0.8; // One source sent most of the burst
+const KNOWN_HOST_SHARE = 0.01; // Hosts with 1%+ of a median day are the site
+const BOT_SHARE_OF_CHANGE = 0.5; // Bots must explain half the extra sessions
+const MAX_BOT_SEGMENTS = 3;
+
+const REASON_LABELS = {
+  lowEngagement: "near-zero engagement",
+  unknownHostname: "an unknown hostname",
+  singleSource: "a single source",
+};
+
+// Anomalies a bot burst can cause (pattern or `${metric}_${direction}`)
+const BOT_SYMPTOMS = [
+  "sessions_up",
+  "totalUsers_up",
+  "engagementRate_down",
+  "bounceRate_up",
+  "conversionRate_down",
+  "revenuePerSession_down",
+  "lowQualityTraffic",
+];
+
+/**
+ * Median of a list of numbers (0 for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+export const botTrafficService = {
+  /**
+   * Bot bursts in a property's data, by date
+   * @param {Array} dailyData - Daily metrics (for each day's total sessions)
+   * @param {Function} fetchBreakdown - (dimension, metrics) => rows
+   * @param {object} options - { knownHostnames } - the site's own hostnames
+   *   (inferred from the data when not set)
+   * @returns {Map} date -> { date, sessions, share, reasons, segments }
+   */
+  async detectBursts(dailyData, fetchBreakdown, options = {}) {
+    const rowsByDimension = {};
+    for (const dimension of Object.keys(BOT_DIMENSIONS)) {
+      try {
+        rowsByDimension[dimension] =
+          (await fetchBreakdown(dimension, BOT_METRICS)) || [];
+      } catch (error) {
+        console.warn(`⚠️  Bot check by ${dimension} failed:`, error.message);
+        rowsByDimension[dimension] = [];
+      }
+    }
+
+    const sessionsOn = new Map(dailyData.map((d) => [d.date, d.sessions || 0]));
+    const knownHostnames = this.getKnownHostnames(
+      rowsByDimension.hostName,
+      sessionsOn,
+      options.knownHostnames
+    );
+
+    const suspicious = Object.entries(rowsByDimension).flatMap(
+      ([dimension, rows]) =>
+        this.findSuspiciousSegments(
+          rows,
+          dimension,
+          [...sessionsOn.keys()],
+          knownHostnames
+        )
+    );
+
+    const bursts = new Map();
+    for (const date of new Set(suspicious.map((s) => s.date))) {
+      const burst = this.buildBurst(
+        date,
+        suspicious.filter((s) => s.date === date),
+        sessionsOn.get(date) || 0
+      );
+      if (burst) bursts.set(date, burst);
+    }
+
+    if (bursts.size > 0) {
+      console.log(
+        `🤖 Bot traffic bursts on ${[...bursts.keys()].sort().join(", ")}`
+      );
+    }
+    return bursts;
+  },
+
+  /**
+   * Hostnames that are the site itself: the configured ones plus any host
+   * with a real share of a median day's sessions
+   */
+  getKnownHostnames(rows, sessionsOn, configured = []) {
+    const known = new Set(configured || []);
+    const dates = [...sessionsOn.keys()];
+    const typicalDay = median([...sessionsOn.values()]);
+
+    const byHost = new Map();
+    for (const row of rows || []) {
+      if (!byHost.has(row.segment)) byHost.set(row.segment, new Map());
+      byHost.get(row.segment).set(row.date, row.sessions || 0);
+    }
+    for (const [host, byDate] of byHost) {
+      const typical = median(dates.map((date) => byDate.get(date) || 0));
+      if (typical > 0 && typical >= typicalDay * KNOWN_HOST_SHARE) {
+        known.add(host);
+      }
+    }
+
+    return known;
+  },
+
+  /**
+   * Segment-days that jumped well above the segment's usual level and look
+   * automated (near-zero engagement, or a hostname that isn't the site)
+   * @returns {Array} [{ date, dimension, segment, sessions, engagementRate,
+   *   reasons }]
+   */
+  findSuspiciousSegments(rows, dimension, dates, knownHostnames) {
+    const bySegment = new Map();
+    for (const row of rows) {
+      if (!bySegment.has(row.segment)) bySegment.set(row.segment, new Map());
+      bySegment.get(row.segment).set(row.date, row);
+    }
+
+    const suspicious = [];
+    for (const [segment, byDate] of bySegment) {
+      const typical = median(
+        dates.map((date) => byDate.get(date)?.sessions || 0)
+      );
+
+      for (const [date, row] of byDate) {
+        const sessions = row.sessions || 0;
+        if (
+          sessions < MIN_BURST_SESSIONS ||
+          sessions < typical * BURST_FACTOR
+        ) {
+          continue;
+        }
+
+        const engagementRate = (row.engagedSessions || 0) / sessions;
+        const reasons = [];
+        if (engagementRate <= MAX_BOT_ENGAGEMENT) reasons.push("lowEngagement");
+        if (dimension === "hostName" && !knownHostnames.has(segment)) {
+          reasons.push("unknownHostname");
+        }
+        if (reasons.length === 0) continue;
+
+        suspicious.push({
+          date,
+          dimension,
+          segment,
+          sessions,
+          engagementRate,
+          reasons,
+        });
+      }
+    }
+
+    return suspicious;
+  },
+
+  /**
+   * One day's burst from its suspicious segments
+   * Dimensions are different cuts of the same sessions, so the burst is the
+   * largest dimension's total rather than the sum of all of them
+   */
+  buildBurst(date, segments, daySessions) {
+    const totals = Object.keys(BOT_DIMENSIONS).map((dimension) =>
+      segments
+        .filter((s) => s.dimension === dimension)
+        .reduce((sum, s) => sum + s.sessions, 0)
+    );
+    const sessions = Math.max(...totals);
+    const share = daySessions > 0 ? Math.min(1, sessions / daySessions) : 0;
+    if (share < MIN_BOT_SHARE) return null;
+
+    const reasons = [...new Set(segments.flatMap((s) => s.reasons))];
+    const sources = segments
+      .filter((s) => s.dimension === "sessionSource")
+      .sort((a, b) => b.sessions - a.sessions);
+    if (
+      sources.length &&
+      sources[0].sessions >= sessions * SINGLE_SOURCE_SHARE
+    ) {
+      reasons.push("singleSource");
+    }
+
+    return {
+      date,
+      sessions,
+      share,
+      reasons,
+      segments: [...segments]
+        .sort((a, b) => b.sessions - a.sessions)
+        .slice(0, MAX_BOT_SEGMENTS)
+        .map(({ dimension, segment, sessions, engagementRate }) => ({
+          dimension,
+          dimensionLabel: BOT_DIMENSIONS[dimension],
+          segment,
+          sessions,
+          engagementRate,
+        })),
+    };
+  },
+
+  /**
+   * Does a burst account for an anomaly? It must be a symptom bots cause,
+   * and (for traffic) the bots must make up most of the extra sessions
+   * @param {object} sessionsTest - The day's site-wide sessions test, if any
+   */
+  isBotDriven(insight, burst, sessionsTest) {
+    const symptom = insight.pattern || `${insight.metric}_${insight.direction}`;
+    if (!BOT_SYMPTOMS.includes(symptom)) return false;
+    if (!sessionsTest) return true;
+
+    const extraSessions =
+      sessionsTest.currentValue - sessionsTest.expectedValue;
+    return (
+      extraSessions <= 0 ||
+      burst.sessions >= extraSessions * BOT_SHARE_OF_CHANGE
+    );
+  },
+
+  /**
+   * e.g. "About 820 sessions (45% of the day) came with near-zero
+   * engagement and a single source, mostly spam-site.com (source)."
+   */
+  describeBurst(burst) {
+    const reasons = burst.reasons.map((reason) => REASON_LABELS[reason]);
+    const reasonText =
+      reasons.length > 1
+        ? `${reasons.slice(0, -1).join(", ")} and ${reasons[reasons.length - 1]}`
+        : reasons[0];
+    const [top] = burst.segments;
+
+    return `About ${Math.round(burst.sessions).toLocaleString(
+      "en-US"
+    )} sessions (${Math.round(
+      burst.share * 100
+    )}% of the day) came with ${reasonText}, mostly ${top.segment} (${
+      top.dimensionLabel
+    }). This looks like bots or referral spam rather than real visitors.`;
+  },
+};
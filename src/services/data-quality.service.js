@@ -0,0 +1,420 @@
+// Data Quality Service - Spots broken tracking before it reads as a trend
+// A tag that stops firing or fires twice looks like a traffic collapse or a
+// miracle week to the anomaly detectors. These checks look for the
+// fingerprints of broken tracking on the latest day instead:
+// - nearZero: sessions fall to almost nothing (tag removed, site down)
+// - unassignedSpike / notSetSpike: a jump in "Unassigned" channel or
+//   "(not set)" landing page traffic (lost UTMs, consent mode, bad setup)
+// - duplicateTag: sessions per user doubling or bounce rate collapsing to ~0
+//   (two GA4 tags, or a tag firing on every interaction)
+// - missingKeyEvents: conversions stop entirely while traffic carries on
+//
+// Each finding becomes a "tracking issue" insight with a severity
+// (critical | warning) and a fix-it checklist from the action playbook
+import { insightsService } from "./insights.service.js";
+
+export const TRACKING_SEVERITIES = ["critical", "warning"];
+
+const MIN_HISTORY_DAYS = 7; // Baseline days needed before anything is checked
+const NEAR_ZERO_RATIO = 0.1; // Below 10% of the usual weekday sessions
+const MIN_BASELINE_SESSIONS = 50; // Too small to tell an outage from noise
+const SHARE_FACTOR = 2; // Unassigned/(not set) share at least doubles...
+const MIN_SHARE_INCREASE = 0.1; // ...by 10+ points...
+const MIN_SHARE = 0.15; // ...and is 15%+ of sessions
+const CRITICAL_SHARE = 0.5; // Half the traffic is unattributable
+const SESSIONS_PER_USER_FACTOR = 1.8;
+const BOUNCE_RATE_FLOOR = 0.05; // "Nobody bounces" is a tagging symptom...
+const MIN_BASELINE_BOUNCE_RATE = 0.2; // ...when people used to
+const MIN_BASELINE_CONVERSIONS = 5; // Per day, before a zero is suspicious
+const STEADY_TRAFFIC_RATIO = 0.5; // Traffic "carries on" at half its usual
+
+// Per issue type: headline label, what it explains (anomalies on these
+// metrics/patterns from the same days are symptoms, not news)
+const TRACKING_ISSUES = {
+  nearZero: {
+    label: "Tracking outage",
+    explains: [
+      "sessions",
+      "totalUsers",
+      "conversions",
+      "totalRevenue",
+      "transactions",
+      "trackingLoss",
+    ],
+  },
+  unassignedSpike: { label: "Unassigned traffic spike", explains: [] },
+  notSetSpike: { label: "(not set) landing page spike", explains: [] },
+  duplicateTag: {
+    label: "Possible duplicate tag",
+    explains: ["sessions", "bounceRate", "engagementRate", "conversionRate"],
+  },
+  missingKeyEvents: {
+    label: "Key events missing",
+    explains: [
+      "conversions",
+      "conversionRate",
+      "totalRevenue",
+      "transactions",
+      "funnelLeak",
+    ],
+  },
+};
+
+// Share checks: breakdown dimension and the segment that means "unknown"
+const SHARE_CHECKS = {
+  unassignedSpike: {
+    dimension: "sessionDefaultChannelGroup",
+    segment: "Unassigned",
+    metric: "unassignedRate",
+  },
+  notSetSpike: {
+    dimension: "landingPage",
+    segment: "(not set)",
+    metric: "notSetRate",
+  },
+};
+
+export const dataQualityService = {
+  /**
+   * Tracking issues on the latest day, critical ones first
+   * @param {Array} dailyData - Daily metrics (any order)
+   * @param {object} options - { fetchBreakdown, currency, playbook }
+   *   fetchBreakdown(dimension, metrics) enables the share checks
+   * @returns {Array} Tracking-issue insights
+   */
+  async analyze(dailyData, options = {}) {
+    if (!dailyData || dailyData.length <= MIN_HISTORY_DAYS) return [];
+
+    const sortedData = [...dailyData]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map((day) => insightsService.addDerivedMetrics(day));
+
+    const findings = [
+      this.checkNearZero(sortedData),
+      this.checkDuplicateTag(sortedData),
+      this.checkMissingKeyEvents(sortedData),
+    ];
+
+    if (options.fetchBreakdown) {
+      for (const type of Object.keys(SHARE_CHECKS)) {
+        try {
+          findings.push(
+            await this.checkShareSpike(sortedData, type, options.fetchBreakdown)
+          );
+        } catch (error) {
+          console.error(`⚠️  ${type} check failed:`, error.message);
+        }
+      }
+    }
+
+    // An outage makes every other symptom meaningless
+    const outage = findings.find((finding) => finding?.type === "nearZero");
+    const issues = (outage ? [outage] : findings.filter(Boolean))
+      .map((finding) => this.buildTrackingInsight(finding, options))
+      .sort(
+        (a, b) =>
+          TRACKING_SEVERITIES.indexOf(a.trackingIssue.severity) -
+          TRACKING_SEVERITIES.indexOf(b.trackingIssue.severity)
+      );
+
+    if (issues.length) {
+      console.log(
+        `🛠️  ${issues.length} tracking issue(s): ${issues
+          .map((i) => i.trackingIssue.type)
+          .join(", ")}`
+      );
+    }
+    return issues;
+  },
+
+  /**
+   * Expected value of a metric on a day from its weekday baseline
+   */
+  getExpected(history, metricName, date) {
+    const baseline = insightsService.calculateSeasonalBaseline(
+      history,
+      metricName
+    );
+    return baseline[new Date(date).getDay()] || 0;
+  },
+
+  /**
+   * Sessions near zero, counting how many days in a row
+   */
+  checkNearZero(sortedData) {
+    const isNearZero = (index) => {
+      const history = sortedData.slice(0, index);
+      if (history.length < MIN_HISTORY_DAYS) return false;
+
+      const day = sortedData[index];
+      const expected = this.getExpected(history, "sessions", day.date);
+      return (
+        expected >= MIN_BASELINE_SESSIONS &&
+        (day.sessions || 0) < expected * NEAR_ZERO_RATIO
+      );
+    };
+
+    const lastIndex = sortedData.length - 1;
+    if (!isNearZero(lastIndex)) return null;
+
+    // Walk back through the outage; its baseline is the days before it
+    let startIndex = lastIndex;
+    while (startIndex > 0 && isNearZero(startIndex - 1)) startIndex--;
+
+    const latest = sortedData[lastIndex];
+    return {
+      type: "nearZero",
+      severity: "critical",
+      date: latest.date,
+      startDate: sortedData[startIndex].date,
+      metric: "sessions",
+      currentValue: latest.sessions || 0,
+      expectedValue: this.getExpected(
+        sortedData.slice(0, startIndex),
+        "sessions",
+        latest.date
+      ),
+    };
+  },
+
+  /**
+   * Sessions per user doubling, or bounce rate collapsing to ~0
+   */
+  checkDuplicateTag(sortedData) {
+    const latest = sortedData[sortedData.length - 1];
+    const history = sortedData.slice(0, -1);
+    const ratio = (day) =>
+      day.totalUsers > 0 ? (day.sessions || 0) / day.totalUsers : 0;
+
+    const currentRatio = ratio(latest);
+    const expectedRatio = insightsService.calculateMedian(
+      history.map(ratio).filter((value) => value > 0)
+    );
+    if (
+      expectedRatio > 0 &&
+      currentRatio >= expectedRatio * SESSIONS_PER_USER_FACTOR
+    ) {
+      return {
+        type: "duplicateTag",
+        severity: "critical",
+        date: latest.date,
+        metric: "sessionsPerUser",
+        currentValue: currentRatio,
+        expectedValue: expectedRatio,
+      };
+    }
+
+    const expectedBounce = insightsService.calculateMedian(
+      history.filter((d) => d.sessions > 0).map((d) => d.bounceRate || 0)
+    );
+    if (
+      latest.sessions > 0 &&
+      expectedBounce >= MIN_BASELINE_BOUNCE_RATE &&
+      (latest.bounceRate || 0) < BOUNCE_RATE_FLOOR
+    ) {
+      return {
+        type: "duplicateTag",
+        severity: "critical",
+        date: latest.date,
+        metric: "bounceRate",
+        currentValue: latest.bounceRate || 0,
+        expectedValue: expectedBounce,
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * No conversions at all on a day that usually has several, while traffic
+   * carries on (when sessions fell too, zero conversions is the traffic
+   * drop - the regular anomalies report it)
+   */
+  checkMissingKeyEvents(sortedData) {
+    const latest = sortedData[sortedData.length - 1];
+    const history = sortedData.slice(0, -1);
+    const expected = this.getExpected(history, "conversions", latest.date);
+    if ((latest.conversions || 0) > 0 || expected < MIN_BASELINE_CONVERSIONS) {
+      return null;
+    }
+
+    const expectedSessions = this.getExpected(history, "sessions", latest.date);
+    if ((latest.sessions || 0) < expectedSessions * STEADY_TRAFFIC_RATIO) {
+      return null;
+    }
+
+    return {
+      type: "missingKeyEvents",
+      severity: "critical",
+      date: latest.date,
+      metric: "conversions",
+      currentValue: 0,
+      expectedValue: expected,
+    };
+  },
+
+  /**
+   * Share of sessions in an "unknown" segment jumping on the latest day
+   * @param {string} type - unassignedSpike | notSetSpike
+   */
+  async checkShareSpike(sortedData, type, fetchBreakdown) {
+    const { dimension, segment, metric } = SHARE_CHECKS[type];
+    const rows = await fetchBreakdown(dimension, ["sessions"]);
+
+    const unknownByDate = new Map(
+      (rows || [])
+        .filter((row) => row.segment === segment)
+        .map((row) => [row.date, row.sessions || 0])
+    );
+    const share = (day) =>
+      day.sessions > 0 ? (unknownByDate.get(day.date) || 0) / day.sessions : 0;
+
+    const latest = sortedData[sortedData.length - 1];
+    const currentShare = share(latest);
+    const expectedShare = insightsService.calculateMedian(
+      sortedData.slice(0, -1).map(share)
+    );
+
+    if (
+      currentShare < MIN_SHARE ||
+      currentShare < expectedShare * SHARE_FACTOR ||
+      currentShare - expectedShare < MIN_SHARE_INCREASE
+    ) {
+      return null;
+    }
+
+    return {
+      type,
+      severity: currentShare >= CRITICAL_SHARE ? "critical" : "warning",
+      date: latest.date,
+      metric,
+      currentValue: currentShare,
+      expectedValue: expectedShare,
+    };
+  },
+
+  /**
+   * Insight card for a finding (same shape as the detectors' insights)
+   */
+  buildTrackingInsight(finding, options = {}) {
+    const { type, severity, date, metric, currentValue, expectedValue } =
+      finding;
+    const percentChange = insightsService.calculatePercentChange(
+      currentValue,
+      expectedValue
+    );
+    const startDate = finding.startDate || date;
+    const daysActive = insightsService.daysBetween(startDate, date) + 1;
+
+    const insight = {
+      date,
+      metric,
+      detector: "dataQuality",
+      currentValue,
+      expectedValue,
+      percentChange,
+      zScore: 0,
+      confidence: null,
+      trendType: "trackingIssue",
+      direction: currentValue > expectedValue ? "up" : "down",
+      impactScore: Math.abs(percentChange) * 100,
+      currency: options.currency,
+      trackingIssue: {
+        type,
+        severity,
+        label: TRACKING_ISSUES[type].label,
+        startDate,
+        daysActive,
+      },
+    };
+
+    insight.headline = this.generateHeadline(insight);
+    insight.explanation = this.generateExplanation(insight);
+    insight.actionItems = insightsService.getActionItems(
+      insight,
+      options.playbook
+    );
+    return insight;
+  },
+
+  /**
+   * e.g. "Tracking outage: sessions near zero for 2 days"
+   */
+  generateHeadline(insight) {
+    const { type, label, daysActive } = insight.trackingIssue;
+    const format = (value) =>
+      insightsService.formatMetricValue(insight.metric, value);
+
+    switch (type) {
+      case "nearZero":
+        return daysActive > 1
+          ? `${label}: sessions near zero for ${daysActive} days`
+          : `${label}: sessions near zero`;
+      case "unassignedSpike":
+        return `${label}: ${format(insight.currentValue)} of sessions`;
+      case "notSetSpike":
+        return `${label}: ${format(insight.currentValue)} of sessions`;
+      case "duplicateTag":
+        return insight.metric === "bounceRate"
+          ? `${label}: bounce rate fell to ${format(insight.currentValue)}`
+          : `${label}: ${format(insight.currentValue)} sessions per user`;
+      default:
+        return `${label}: no conversions recorded`;
+    }
+  },
+
+  /**
+   * What the numbers say and why it's probably tracking, not customers
+   */
+  generateExplanation(insight) {
+    const format = (value) =>
+      insightsService.formatMetricValue(insight.metric, value);
+    const on = insightsService.formatShortDate(insight.date);
+    const current = format(insight.currentValue);
+    const usual = format(insight.expectedValue);
+
+    switch (insight.trackingIssue.type) {
+      case "nearZero":
+        return `GA4 recorded ${current} sessions on ${on}, against a usual ${usual}. A drop this close to zero almost always means the tag stopped firing or the site was down, not that visitors disappeared.`;
+      case "unassignedSpike":
+        return `${current} of sessions on ${on} had no channel ("Unassigned"), up from a usual ${usual}. Traffic is arriving without source information, so channel reports are under-counting.`;
+      case "notSetSpike":
+        return `${current} of sessions on ${on} had no landing page ("(not set)"), up from a usual ${usual}. Sessions are starting without a page view, which usually points at consent or tag-firing changes.`;
+      case "duplicateTag":
+        return insight.metric === "bounceRate"
+          ? `Bounce rate fell to ${current} on ${on} from a usual ${usual}. Real visitors don't stop bouncing overnight; an extra tag or event firing on every page usually does this.`
+          : `Each user averaged ${current} sessions on ${on}, against a usual ${usual}. Sessions multiplying while users don't is a classic sign of the GA4 tag being installed twice.`;
+      default:
+        return `No conversions were recorded on ${on}, on a day that usually sees about ${usual}. Traffic kept coming, so the key event tags are the likely culprit.`;
+    }
+  },
+
+  /**
+   * Drop anomalies a tracking issue already explains (same metric or
+   * pattern, on the issue's days), so the email leads with the cause
+   * @param {Array} insights - Anomalies (after incident tracking)
+   * @param {Array} issues - Tracking issues from analyze()
+   */
+  suppressExplained(insights, issues) {
+    if (!issues?.length) return insights;
+
+    return insights.filter((insight) => {
+      if (insightsService.isScoped(insight) || insight.status === "recovered") {
+        return true;
+      }
+
+      const explainedBy = issues.find(
+        ({ trackingIssue }) =>
+          TRACKING_ISSUES[trackingIssue.type].explains.includes(
+            insight.pattern || insight.metric
+          ) && insight.date >= trackingIssue.startDate
+      );
+      if (explainedBy) {
+        console.log(
+          `🛠️  ${insight.pattern || insight.metric} ${insight.direction} explained by ${explainedBy.trackingIssue.type}`
+        );
+      }
+      return !explainedBy;
+    });
+  },
+};
@@ -0,0 +1,98 @@
+// Forecast detector - Holt-Winters fit (level + trend + weekly seasonality)
+// on the history before the recent window; flags days outside the
+// 95% (or 99%) prediction interval
+import { forecastService } from "../forecast.service.js";
+import { statisticsService } from "../statistics.service.js";
+
+// Selectable per property via analysis_settings.predictionInterval
+export const PREDICTION_INTERVALS = [95, 99];
+const DEFAULT_PREDICTION_INTERVAL = 95;
+
+export const forecastDetector = {
+  name: "forecast",
+  description: "Outside the Holt-Winters prediction interval",
+
+  /**
+   * @param {Array} series - Sorted daily data (derived metrics attached)
+   * @param {object} context - { metricName, options, engine, recentDays }
+   * @returns {Array|null} One test result per recent day, or null if the
+   *   history is too short to fit
+   */
+  detect(series, { metricName, options, engine, recentDays }) {
+    const history = series.slice(0, -recentDays);
+    const recent = series.slice(-recentDays);
+
+    // Annotated days and excluded bot bursts take the value from a week
+    // earlier, so a sale, holiday or crawler doesn't bend the fitted level
+    // and seasonality
+    const values = [];
+    history.forEach((d, i) => {
+      values.push(
+        (d.annotations || d.botTraffic?.excluded) && i >= 7
+          ? values[i - 7]
+          : d[metricName] || 0
+      );
+    });
+
+    const model = forecastService.fit(values);
+    if (!model) return null;
+
+    const points = forecastService.forecast(model, recent.length, {
+      min: 0,
+      max: forecastService.getUpperBound(metricName),
+    });
+
+    const interval = PREDICTION_INTERVALS.includes(options.predictionInterval)
+      ? options.predictionInterval
+      : DEFAULT_PREDICTION_INTERVAL;
+
+    return recent.map((day, index) => {
+      const point = points[index];
+      const currentValue = day[metricName] || 0;
+      const lower = interval === 99 ? point.lower99 : point.lower95;
+      const upper = interval === 99 ? point.upper99 : point.upper95;
+
+      const zScore =
+        point.stdError > 0 ? (currentValue - point.value) / point.stdError : 0;
+      const pValue = statisticsService.pValueFromZ(zScore);
+      const result = {
+        metric: metricName,
+        date: day.date,
+        currentValue,
+        expectedValue: point.value,
+        percentChange: engine.calculatePercentChange(currentValue, point.value),
+        zScore,
+        pValue,
+        insight: null,
+      };
+
+      if (currentValue >= lower && currentValue <= upper) return result;
+      if (!engine.isReportable(series, metricName, day, point.value, options)) {
+        return result;
+      }
+
+      result.insight = engine.buildInsight(
+        series,
+        metricName,
+        day,
+        point.value,
+        zScore,
+        options,
+        {
+          pValue,
+          significanceTest: "forecast-interval",
+          forecast: {
+            value: point.value,
+            interval,
+            lower95: point.lower95,
+            upper95: point.upper95,
+            lower99: point.lower99,
+            upper99: point.upper99,
+          },
+        }
+      );
+
+      return result;
+    });
+  },
+};
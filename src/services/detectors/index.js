@@ -0,0 +1,51 @@
+// Detector registry - the anomaly detectors the insights engine can run
+//
+// A detector is a module exporting:
+//   {
+//     name: "zscore",                 // used in analysis_settings
+//     description: "...",
+//     detect(series, context)         // -> test results, or null to fall
+//   }                                 //    back to the default detector
+// context: { metricName, options, engine (insightsService), recentDays }
+// Each test result: { metric, date, currentValue, expectedValue,
+//   percentChange, zScore, pValue, insight } - insight (built with
+//   engine.buildInsight) is null unless the day passed the detector's screen
+//
+// Properties pick detectors with analysis_settings.detector (a name or a
+// list) and per metric with analysis_settings.metricDetectors
+import { zScoreDetector } from "./zscore.detector.js";
+import { forecastDetector } from "./forecast.detector.js";
+
+export const DEFAULT_DETECTOR = "zscore";
+
+const detectors = new Map();
+
+export const detectorRegistry = {
+  /**
+   * Add a detector (replaces any detector with the same name)
+   */
+  register(detector) {
+    if (!detector?.name || typeof detector.detect !== "function") {
+      throw new Error("Detectors need a name and a detect(series, context)");
+    }
+    detectors.set(detector.name, detector);
+  },
+
+  get(name) {
+    return detectors.get(name) || null;
+  },
+
+  has(name) {
+    return detectors.has(name);
+  },
+
+  /**
+   * Registered detector names (valid analysis_settings values)
+   */
+  names() {
+    return [...detectors.keys()];
+  },
+};
+
+detectorRegistry.register(zScoreDetector);
+detectorRegistry.register(forecastDetector);
@@ -0,0 +1,70 @@
+// Z-score detector - distance from the weekday baseline in std deviations
+// (mean or robust baseline, significance test suited to the metric)
+
+export const zScoreDetector = {
+  name: "zscore",
+  description: "Distance from the weekday baseline",
+
+  /**
+   * @param {Array} series - Sorted daily data (derived metrics attached)
+   * @param {object} context - { metricName, options, engine, recentDays }
+   * @returns {Array} One test result per recent day
+   */
+  detect(series, { metricName, options, engine, recentDays }) {
+    const algorithm = options.algorithm || engine.getAlgorithmSettings(options);
+
+    // Expected value + normal variance per weekday
+    const { expected, scale } = engine.calculateBaseline(
+      series,
+      metricName,
+      options.baselineMode
+    );
+
+    return series.slice(-recentDays).map((day) => {
+      const dayOfWeek = new Date(day.date).getDay();
+      const currentValue = day[metricName] || 0;
+      const expectedValue = expected[dayOfWeek];
+
+      // Significance test suited to the metric (count vs rate)
+      const { zScore, pValue, test } = engine.testSignificance(
+        series,
+        metricName,
+        day,
+        expectedValue,
+        scale[dayOfWeek]
+      );
+
+      const result = {
+        metric: metricName,
+        date: day.date,
+        currentValue,
+        expectedValue,
+        percentChange: engine.calculatePercentChange(
+          currentValue,
+          expectedValue
+        ),
+        zScore,
+        pValue,
+        insight: null,
+      };
+
+      // Screen on the raw z-score; the final call is made after FDR correction
+      if (
+        Math.abs(zScore) >= algorithm.zScoreThreshold &&
+        engine.isReportable(series, metricName, day, expectedValue, options)
+      ) {
+        result.insight = engine.buildInsight(
+          series,
+          metricName,
+          day,
+          expectedValue,
+          zScore,
+          options,
+          { pValue, significanceTest: test }
+        );
+      }
+
+      return result;
+    });
+  },
+};
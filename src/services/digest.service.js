@@ -0,0 +1,293 @@
+// Digest Service - Weekly and monthly summary reports
+// Instead of the daily anomaly email, a digest recaps a whole period:
+// - totals vs the previous period and the same period last year
+// - the biggest movers
+// - the anomalies the engine found during the period
+//
+// Periods always end yesterday or earlier (GA4 data for today is partial):
+// - weekly: the 7 days ending yesterday
+// - monthly: the last full calendar month
+// Comparisons and movers need the `historicalComparison` tier flag
+import { insightsService, ANALYZED_METRICS } from "./insights.service.js";
+import { rankingService } from "./ranking.service.js";
+
+export const DIGEST_FREQUENCIES = ["weekly", "monthly"];
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const HISTORY_DAYS = 28; // Baseline history each replayed day gets
+const MAX_MOVERS = 3;
+const MAX_ANOMALIES = 5;
+
+// Period totals are sums, except rates (session-weighted) and ratios
+// (recomputed from the summed counts by addDerivedMetrics)
+const SUMMED_METRICS = [
+  "sessions",
+  "totalUsers",
+  "conversions",
+  "totalRevenue",
+  "transactions",
+];
+const SESSION_WEIGHTED_METRICS = ["engagementRate", "bounceRate"];
+
+/**
+ * YYYY-MM-DD date shifted by a number of days
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split("T")[0];
+}
+
+/**
+ * First and last day of the calendar month `offset` months from a date
+ */
+function getMonthRange(date, offset) {
+  const [year, month] = date.split("-").map(Number);
+  const start = new Date(Date.UTC(year, month - 1 + offset, 1));
+  const end = new Date(Date.UTC(year, month + offset, 0));
+  return {
+    start: start.toISOString().split("T")[0],
+    end: end.toISOString().split("T")[0],
+  };
+}
+
+export const digestService = {
+  /**
+   * The period a digest sent on `today` covers, and what it's compared to
+   * @param {string} frequency - "weekly" | "monthly"
+   * @param {string} today - YYYY-MM-DD in the recipient's timezone
+   * @returns {object} { current, previous, lastYear } - each
+   *   { start, end, label }
+   */
+  getPeriods(frequency, today) {
+    if (frequency === "monthly") {
+      const current = getMonthRange(today, -1);
+      const previous = getMonthRange(today, -2);
+      const lastYear = getMonthRange(today, -13);
+      const label = (range) =>
+        new Date(`${range.start}T00:00:00Z`).toLocaleDateString("en-US", {
+          month: "long",
+          year: "numeric",
+          timeZone: "UTC",
+        });
+
+      return {
+        current: { ...current, label: label(current) },
+        previous: { ...previous, label: label(previous) },
+        lastYear: { ...lastYear, label: label(lastYear) },
+      };
+    }
+
+    // Weekly: last year's week is 52 weeks back so weekdays line up
+    const end = addDays(today, -1);
+    const start = addDays(end, -6);
+    const label = (range) =>
+      `${insightsService.formatShortDate(
+        range.start
+      )} – ${insightsService.formatShortDate(range.end)}`;
+    const range = (shift) => ({
+      start: addDays(start, shift),
+      end: addDays(end, shift),
+    });
+
+    const current = range(0);
+    const previous = range(-7);
+    const lastYear = range(-364);
+    return {
+      current: { ...current, label: label(current) },
+      previous: { ...previous, label: label(previous) },
+      lastYear: {
+        ...lastYear,
+        label: `${label(lastYear)}, ${lastYear.end.slice(0, 4)}`,
+      },
+    };
+  },
+
+  /**
+   * Is a digest due today? On a report day, once per period:
+   * - weekly: nothing sent in the last 6 days
+   * - monthly: nothing sent yet this month
+   * @param {string} frequency - "weekly" | "monthly"
+   * @param {string} today - YYYY-MM-DD in the recipient's timezone
+   * @param {Array} reportDays - e.g. ["Mon", "Thu"]
+   * @param {string|null} lastSentAt - email_preferences.last_email_sent_at
+   */
+  isDue(frequency, today, reportDays, lastSentAt) {
+    const weekday =
+      WEEKDAYS[(new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7];
+    if (reportDays?.length && !reportDays.includes(weekday)) return false;
+    if (!lastSentAt) return true;
+
+    const lastSent = lastSentAt.slice(0, 10);
+    return frequency === "monthly"
+      ? lastSent < `${today.slice(0, 8)}01`
+      : lastSent <= addDays(today, -7);
+  },
+
+  /**
+   * Totals for a run of daily rows
+   * Users are summed per day, so a returning user counts once per visit day
+   */
+  summarize(dailyData) {
+    const totals = {};
+    for (const metricName of SUMMED_METRICS) {
+      totals[metricName] = dailyData.reduce(
+        (sum, day) => sum + (day[metricName] || 0),
+        0
+      );
+    }
+    for (const metricName of SESSION_WEIGHTED_METRICS) {
+      totals[metricName] =
+        totals.sessions > 0
+          ? dailyData.reduce(
+              (sum, day) => sum + (day[metricName] || 0) * (day.sessions || 0),
+              0
+            ) / totals.sessions
+          : 0;
+    }
+
+    return insightsService.addDerivedMetrics(totals);
+  },
+
+  /**
+   * Per-metric totals with period-over-period and year-over-year change
+   * @returns {Array} [{ metric, value, previous, lastYear, vsPrevious,
+   *   vsLastYear }] - comparisons are null when unavailable
+   */
+  compare(current, previous, lastYear) {
+    const change = (value, baseline) =>
+      baseline ? insightsService.calculatePercentChange(value, baseline) : null;
+
+    return ANALYZED_METRICS.filter(
+      (metric) => current[metric] || previous?.[metric]
+    ).map((metric) => ({
+      metric,
+      value: current[metric],
+      previous: previous ? previous[metric] : null,
+      lastYear: lastYear ? lastYear[metric] : null,
+      vsPrevious: previous ? change(current[metric], previous[metric]) : null,
+      vsLastYear: lastYear ? change(current[metric], lastYear[metric]) : null,
+    }));
+  },
+
+  /**
+   * Anomalies the daily engine would have reported during the period
+   * Replays each day over its own history (no drill-downs: a digest lists
+   * what happened, the daily email explains it)
+   * @returns {Array} Top insights by rank, one per incident
+   */
+  async getPeriodAnomalies(dailyData, period, analysisOptions) {
+    const { fetchBreakdown, ...options } = analysisOptions;
+    const incidents = new Map();
+
+    for (let date = period.start; date <= period.end; date = addDays(date, 1)) {
+      const from = addDays(date, -HISTORY_DAYS);
+      const window = dailyData.filter((d) => d.date >= from && d.date <= date);
+      if (window.length === 0 || window[window.length - 1].date !== date) {
+        continue;
+      }
+
+      const insights = await insightsService.analyzeMetrics(window, options);
+      for (const insight of insights) {
+        if (insight.date < period.start || insight.date > period.end) continue;
+
+        const key = insightsService.getIncidentKey(insight);
+        const seen = incidents.get(key);
+        if (!seen || rankingService.compare(insight, seen) < 0) {
+          incidents.set(key, insight);
+        }
+      }
+    }
+
+    return [...incidents.values()]
+      .sort((a, b) => rankingService.compare(a, b))
+      .slice(0, MAX_ANOMALIES);
+  },
+
+  /**
+   * Build a digest
+   * @param {object} params
+   * @param {string} params.frequency - "weekly" | "monthly"
+   * @param {string} params.today - YYYY-MM-DD in the recipient's timezone
+   * @param {Function} params.fetchDaily - async (startDate, endDate) =>
+   *   { daily, currency } from GA4 (the caller handles tokens)
+   * @param {object} params.analysisOptions - analyzeMetrics options
+   * @param {boolean} params.historicalComparison - tier allows comparisons
+   * @returns {object|null} The digest, or null if the period has no data
+   */
+  async buildDigest({
+    frequency,
+    today,
+    fetchDaily,
+    analysisOptions = {},
+    historicalComparison = false,
+  }) {
+    const periods = this.getPeriods(frequency, today);
+
+    // One fetch covers the period, the previous one and the anomaly history
+    const historyStart = addDays(periods.current.start, -HISTORY_DAYS);
+    const fetchStart =
+      periods.previous.start < historyStart
+        ? periods.previous.start
+        : historyStart;
+    const fetched = await fetchDaily(fetchStart, periods.current.end);
+    const currency = fetched.currency || analysisOptions.currency;
+    const dailyData = fetched.daily
+      .slice()
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const inPeriod = ({ start, end }) =>
+      dailyData.filter((d) => d.date >= start && d.date <= end);
+    const currentDays = inPeriod(periods.current);
+    if (currentDays.length === 0) {
+      console.log(`⚠️  No data for the ${frequency} digest period`);
+      return null;
+    }
+
+    let previous = null;
+    let lastYear = null;
+    if (historicalComparison) {
+      const previousDays = inPeriod(periods.previous);
+      previous = previousDays.length ? this.summarize(previousDays) : null;
+
+      const { daily: lastYearDays } = await fetchDaily(
+        periods.lastYear.start,
+        periods.lastYear.end
+      );
+      lastYear = lastYearDays.length ? this.summarize(lastYearDays) : null;
+    }
+
+    const metrics = this.compare(
+      this.summarize(currentDays),
+      previous,
+      lastYear
+    );
+    const movers = historicalComparison
+      ? metrics
+          .filter((m) => m.vsPrevious !== null && isFinite(m.vsPrevious))
+          .sort((a, b) => Math.abs(b.vsPrevious) - Math.abs(a.vsPrevious))
+          .slice(0, MAX_MOVERS)
+      : [];
+
+    const anomalies = await this.getPeriodAnomalies(
+      dailyData,
+      periods.current,
+      { ...analysisOptions, currency }
+    );
+
+    console.log(
+      `📅 ${frequency} digest for ${periods.current.label}: ${metrics.length} metrics, ${anomalies.length} anomalies`
+    );
+
+    return {
+      frequency,
+      periods,
+      currency,
+      daysWithData: currentDays.length,
+      historicalComparison,
+      metrics,
+      movers,
+      anomalies,
+    };
+  },
+};
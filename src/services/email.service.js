@@ -2,17 +2,121 @@
 
 import { Resend } from "resend";
 import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+import { feedbackService } from "./feedback.service.js";
+import { portfolioService } from "./portfolio.service.js";
 
 // Initialize Resend with API key from environment variables
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+/**
+ * Escape text for HTML (action items can be edited by the account)
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Portfolio roll-up section of the daily email (Pro/Enterprise)
+ * @param {object} rollup - portfolioService.buildRollup result
+ * @returns {string} HTML, empty when there's no roll-up
+ */
+function generatePortfolioSection(rollup) {
+  if (!rollup?.groups?.length) return "";
+
+  const styles = {
+    section:
+      "background: #f9fafb; border: 1px solid #e5e7eb; padding: 20px; border-radius: 8px; margin-top: 30px;",
+    title: "font-size: 18px; font-weight: bold; color: #1f2937; margin: 0;",
+    groupTitle:
+      "font-size: 15px; font-weight: bold; color: #374151; margin: 16px 0 6px 0;",
+    list: "margin: 0; padding-left: 20px; color: #4b5563; line-height: 1.8; font-size: 14px;",
+    note: "color: #6b7280; font-size: 13px; margin-top: 4px;",
+  };
+
+  const formatChange = (change) => {
+    if (!isFinite(change)) return "new";
+    const color = change > 0 ? "#10b981" : change < 0 ? "#ef4444" : "#6b7280";
+    return `<span style="color: ${color}; font-weight: bold;">${
+      change > 0 ? "+" : ""
+    }${(change * 100).toFixed(1)}%</span>`;
+  };
+
+  const groups = rollup.groups
+    .map((group) => {
+      const anomalyItems = group.anomalies
+        .map((insight) => `<li>${escapeHtml(insight.headline)}</li>`)
+        .join("");
+      const moverItems = group.movers
+        .map(
+          (m) =>
+            `<li>${escapeHtml(m.propertyName)}: ${insightsService
+              .getHumanMetricName(m.metric)
+              .toLowerCase()} ${formatChange(
+              m.percentChange
+            )} <span style="color: #9ca3af;">(${insightsService.formatMetricValue(
+              m.metric,
+              m.currentValue,
+              m.currency
+            )} vs ${insightsService.formatMetricValue(
+              m.metric,
+              m.expectedValue,
+              m.currency
+            )})</span></li>`
+        )
+        .join("");
+      const currencyNote = group.currency
+        ? ""
+        : `<div style="${styles.note}">Properties report in different currencies, so revenue isn't combined.</div>`;
+
+      return `
+      <div style="${styles.groupTitle}">${escapeHtml(group.name)} (${
+        group.propertyCount
+      } properties)</div>
+      <ul style="${styles.list}">
+        ${anomalyItems || "<li>No portfolio-wide anomalies</li>"}
+      </ul>
+      ${
+        moverItems
+          ? `<div style="${styles.note}">Biggest movers on ${insightsService.formatShortDate(
+              group.date
+            )} (vs each property's usual level):</div>
+      <ul style="${styles.list}">
+        ${moverItems}
+      </ul>`
+          : ""
+      }
+      ${currencyNote}`;
+    })
+    .join("");
+
+  const failedNote = rollup.failed?.length
+    ? `<div style="${styles.note}">Couldn't load: ${rollup.failed
+        .map(escapeHtml)
+        .join(", ")}</div>`
+    : "";
+
+  return `
+    <div style="${styles.section}">
+      <div style="${styles.title}">🗂️ Portfolio roll-up</div>
+      ${groups}
+      ${failedNote}
+    </div>
+  `;
+}
+
 /**
  * Generate HTML email template with insights
  * @param {Array} insights - Array of top 3 insights
  * @param {string} userName - User's name for personalization
+ * @param {object} rollup - Portfolio roll-up (Pro/Enterprise, optional)
  * @returns {string} HTML email template
  */
-function generateEmailTemplate(insights, userName = "there") {
+function generateEmailTemplate(insights, userName = "there", rollup = null) {
   // Email styles (inline CSS for email client compatibility)
   const styles = {
     container:
@@ -35,6 +139,8 @@ function generateEmailTemplate(insights, userName = "there") {
       "font-size: 14px; font-weight: bold; color: #4b5563; margin-bottom: 8px;",
     actionItems:
       "margin: 0; padding-left: 20px; color: #6b7280; line-height: 1.6;",
+    segmentList:
+      "margin: 0 0 12px 0; padding-left: 20px; color: #4b5563; font-size: 14px; line-height: 1.6;",
     footer:
       "text-align: center; padding: 20px; color: #9ca3af; font-size: 14px;",
     button:
@@ -47,14 +153,37 @@ function generateEmailTemplate(insights, userName = "there") {
     .map((insight, index) => {
       // Handle both database format and insights service format
       const metricName = insight.metric_name || insight.metric;
-      const metricValue = insight.metric_value || insight.currentValue;
+      const metricValue = insight.metric_value ?? insight.currentValue;
       const baselineValue =
-        insight.baseline_value || insight.expectedValue || insight.baseline;
-      const percentChange = insight.percent_change || insight.percentChange;
+        insight.baseline_value ?? insight.expectedValue ?? insight.baseline;
+      const percentChange = insight.percent_change ?? insight.percentChange;
       const direction = insight.direction;
-
-      // Safety check - skip if critical values are missing
-      if (!metricValue || !baselineValue || percentChange === undefined) {
+      const currency = insight.currency || insight.supporting_data?.currency;
+      const pattern = insight.pattern || insight.supporting_data?.pattern;
+      const pacing = insight.pacing || insight.supporting_data?.pacing;
+      const page = insight.page || insight.supporting_data?.page;
+      const event = insight.event || insight.supporting_data?.event;
+      const trackingIssue =
+        insight.trackingIssue || insight.supporting_data?.trackingIssue;
+      const botTraffic =
+        insight.botTraffic || insight.supporting_data?.botTraffic;
+
+      // Money metrics in the property's currency, everything else as-is
+      // (tracking issues report shares and ratios, so they're formatted too)
+      const formatValue = (value) =>
+        insightsService.isCurrencyMetric(metricName) || trackingIssue
+          ? insightsService.formatMetricValue(metricName, value, currency)
+          : Number(value).toLocaleString();
+
+      // Safety check - skip if critical values are missing (a real zero is
+      // data: an event that stopped firing, a page that lost its traffic, a
+      // tracking issue's share)
+      if (
+        !trackingIssue &&
+        (metricValue == null ||
+          baselineValue == null ||
+          percentChange === undefined)
+      ) {
         console.warn("Skipping insight with missing data:", insight);
         return "";
       }
@@ -66,9 +195,77 @@ function generateEmailTemplate(insights, userName = "there") {
 
       const actionItems = actionItemsArray
         .filter((item) => item && item.trim())
-        .map((item) => `<li style="margin-bottom: 6px;">${item.trim()}</li>`)
+        .map(
+          (item) =>
+            `<li style="margin-bottom: 6px;">${escapeHtml(item.trim())}</li>`
+        )
+        .join("");
+
+      // One-click ratings (only for saved insights with signed links)
+      const feedbackLinks = [
+        ["useful", "👍 Useful"],
+        ["expected", "🤷 Expected"],
+        ["not_useful", "👎 Not useful"],
+      ]
+        .map(([rating, label]) => {
+          const url = feedbackService.getFeedbackUrl(insight.insightId, rating);
+          return url
+            ? `<a href="${url}" style="color: #667eea; text-decoration: none; margin-right: 12px;">${label}</a>`
+            : "";
+        })
         .join("");
 
+      // Segments that drove the change (from the GA4 drill-down)
+      const segments =
+        insight.segments || insight.supporting_data?.segments || [];
+
+      const segmentItems = segments
+        .slice(0, 3)
+        .map(
+          (segment) =>
+            `<li>${escapeHtml(
+              segment.segment
+            )} <span style="color: #9ca3af;">(${escapeHtml(
+              segment.dimensionLabel || segment.dimension
+            )})</span> - ${Math.round(segment.share * 100)}% of the change</li>`
+        )
+        .join("");
+
+      // Forecast interval (forecast detector only)
+      const forecast = insight.forecast || insight.supporting_data?.forecast;
+      const expectedRange = forecast
+        ? `Expected ${insightsService.formatMetricValue(
+            metricName,
+            forecast.interval === 99 ? forecast.lower99 : forecast.lower95,
+            currency
+          )}–${insightsService.formatMetricValue(
+            metricName,
+            forecast.interval === 99 ? forecast.upper99 : forecast.upper95,
+            currency
+          )}`
+        : "";
+
+      // Landing page or event the insight is about
+      const pageLink = page
+        ? `📄 Landing page: <a href="${escapeHtml(
+            page.url
+          )}" style="color: #667eea;">${escapeHtml(page.path)}</a>`
+        : event
+        ? `🏷️ GA4 event: ${escapeHtml(event.name)}${
+            event.keyEvent ? " (key event)" : ""
+          }`
+        : "";
+
+      // Bot/referral-spam segments behind the change
+      const botText = botTraffic
+        ? `🤖 Likely bot traffic: ${botTraffic.segments
+            .map(
+              (s) =>
+                `${escapeHtml(s.segment)} (${escapeHtml(s.dimensionLabel)})`
+            )
+            .join(", ")}`
+        : "";
+
       // Determine color based on direction
       const directionColor =
         direction === "up"
@@ -77,27 +274,113 @@ function generateEmailTemplate(insights, userName = "there") {
           ? "#ef4444"
           : "#6b7280";
 
+      // Lifecycle: anomalies already reported on an earlier day
+      const lifecycle = insight.supporting_data?.lifecycle || insight;
+      const statusText =
+        lifecycle.status === "ongoing"
+          ? `⏳ Ongoing - day ${lifecycle.daysActive} (since ${lifecycle.startDate})`
+          : lifecycle.status === "recovered"
+          ? `✅ Back to normal after ${lifecycle.daysActive} ${
+              lifecycle.daysActive === 1 ? "day" : "days"
+            }`
+          : "";
+
+      // Annotations/holidays on the anomaly's date
+      const annotations =
+        insight.annotations || insight.supporting_data?.annotations || [];
+      const annotationText = annotations.length
+        ? `🗓️ ${annotations.map((a) => escapeHtml(a.label)).join(", ")}`
+        : "";
+
       const directionIcon =
-        direction === "up" ? "📈" : direction === "down" ? "📉" : "➡️";
+        lifecycle.status === "recovered"
+          ? "✅"
+          : direction === "up"
+          ? "📈"
+          : direction === "down"
+          ? "📉"
+          : "➡️";
 
       return `
     <div style="${styles.insightCard}">
       <div style="${styles.insightNumber}">INSIGHT #${index + 1}</div>
-      <div style="${styles.metricName}">${directionIcon} ${metricName}</div>
+      <div style="${styles.metricName}">${
+        trackingIssue ? "🛠️" : pacing ? "🎯" : directionIcon
+      } ${
+        trackingIssue
+          ? `Tracking issue: ${trackingIssue.label}`
+          : pattern
+          ? insightsService.getPatternLabel(pattern)
+          : pacing
+          ? `${insightsService.getHumanMetricName(metricName)} goal pacing`
+          : metricName
+      }</div>
+      ${
+        trackingIssue
+          ? `<div style="color: ${
+              trackingIssue.severity === "critical" ? "#ef4444" : "#f59e0b"
+            }; font-size: 13px; font-weight: bold; margin-bottom: 8px;">${trackingIssue.severity.toUpperCase()} - your GA4 data may be wrong, not your traffic</div>`
+          : ""
+      }
+      ${
+        pageLink
+          ? `<div style="color: #4b5563; font-size: 14px; margin-bottom: 8px;">${pageLink}</div>`
+          : ""
+      }
+      ${
+        botText
+          ? `<div style="color: #b45309; font-size: 14px; margin-bottom: 8px;">${botText}</div>`
+          : ""
+      }
       <div style="${styles.changeText}">
-        <span style="color: ${directionColor}; font-weight: bold;">
+        ${
+          trackingIssue
+            ? `<span style="color: ${directionColor}; font-weight: bold;">${formatValue(
+                metricValue || 0
+              )}</span>
+        <span style="color: #6b7280;">(usually ${formatValue(
+          baselineValue || 0
+        )})</span>`
+            : `<span style="color: ${directionColor}; font-weight: bold;">
           ${percentChange > 0 ? "+" : ""}${(percentChange * 100).toFixed(1)}%
         </span>
         <span style="color: #6b7280;">
-          (${Number(metricValue).toLocaleString()} vs ${Number(
-        baselineValue
-      ).toLocaleString()})
-        </span>
+          (${formatValue(metricValue)} vs ${formatValue(baselineValue)})
+        </span>`
+        }
+        ${
+          expectedRange
+            ? `<div style="color: #6b7280; font-size: 14px; margin-top: 4px;">${expectedRange}</div>`
+            : ""
+        }
+        ${
+          statusText
+            ? `<div style="color: #6b7280; font-size: 14px; margin-top: 4px;">${statusText}</div>`
+            : ""
+        }
+        ${
+          annotationText
+            ? `<div style="color: #6b7280; font-size: 14px; margin-top: 4px;">${annotationText}</div>`
+            : ""
+        }
       </div>
+      ${
+        segmentItems
+          ? `<div style="${styles.actionTitle}">🔍 Where it changed:</div>
+      <ul style="${styles.segmentList}">
+        ${segmentItems}
+      </ul>`
+          : ""
+      }
       <div style="${styles.actionTitle}">💡 Recommended Actions:</div>
       <ul style="${styles.actionItems}">
         ${actionItems}
       </ul>
+      ${
+        feedbackLinks
+          ? `<div style="color: #6b7280; font-size: 13px; margin-top: 12px;">Was this helpful? ${feedbackLinks}</div>`
+          : ""
+      }
     </div>
   `;
     })
@@ -126,12 +409,19 @@ function generateEmailTemplate(insights, userName = "there") {
               Hey ${userName}! 👋
             </p>
             <p style="color: #6b7280; margin-bottom: 30px;">
-              Here are your top 3 insights from yesterday's Google Analytics data:
+              ${
+                insights.length > 0
+                  ? "Here are your top 3 insights from yesterday's Google Analytics data:"
+                  : "Nothing stood out on this property yesterday. Here's how your other properties did:"
+              }
             </p>
 
             <!-- Insights -->
             ${insightCards}
 
+            <!-- Portfolio roll-up -->
+            ${generatePortfolioSection(rollup)}
+
             <!-- CTA Button -->
             <div style="text-align: center; margin-top: 30px;">
               <a href="https://app.gobbledata.com" style="${styles.button}">
@@ -157,6 +447,192 @@ function generateEmailTemplate(insights, userName = "there") {
   `;
 }
 
+/**
+ * Generate HTML email template for a weekly/monthly digest
+ * @param {object} digest - digestService.buildDigest result
+ * @param {string} userName - User's name for personalization
+ * @returns {string} HTML email template
+ */
+function generateDigestTemplate(digest, userName = "there") {
+  const { periods, metrics, movers, anomalies, currency } = digest;
+  const title = `Your ${
+    digest.frequency === "monthly" ? "Monthly" : "Weekly"
+  } Recap - ${periods.current.label}`;
+
+  const styles = {
+    container:
+      'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;',
+    header:
+      "background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;",
+    headerTitle: "margin: 0; font-size: 28px; font-weight: bold;",
+    headerSubtitle: "margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;",
+    content:
+      "background: white; padding: 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);",
+    greeting: "font-size: 18px; color: #1f2937; margin-bottom: 20px;",
+    sectionTitle:
+      "font-size: 18px; font-weight: bold; color: #1f2937; margin: 30px 0 12px 0;",
+    table: "width: 100%; border-collapse: collapse; font-size: 14px;",
+    th: "text-align: right; padding: 8px; color: #6b7280; font-weight: normal; border-bottom: 1px solid #e5e7eb;",
+    td: "text-align: right; padding: 8px; color: #1f2937; border-bottom: 1px solid #f3f4f6;",
+    list: "margin: 0; padding-left: 20px; color: #4b5563; line-height: 1.8;",
+    upgrade:
+      "background: #f3f4f6; border-left: 4px solid #667eea; padding: 16px; border-radius: 8px; margin-top: 30px; color: #4b5563; font-size: 14px;",
+    footer:
+      "text-align: center; padding: 20px; color: #9ca3af; font-size: 14px;",
+    button:
+      "display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin-top: 20px;",
+  };
+
+  const formatValue = (metric, value) =>
+    insightsService.formatMetricValue(metric, value, currency);
+
+  // "+12.3%" in green/red, "-" when there's nothing to compare to
+  const formatChange = (change) => {
+    if (change === null || !isFinite(change)) {
+      return '<span style="color: #9ca3af;">-</span>';
+    }
+    const color = change > 0 ? "#10b981" : change < 0 ? "#ef4444" : "#6b7280";
+    return `<span style="color: ${color}; font-weight: bold;">${
+      change > 0 ? "+" : ""
+    }${(change * 100).toFixed(1)}%</span>`;
+  };
+
+  const labels = Object.fromEntries(
+    metrics.map((m) => [m.metric, insightsService.getHumanMetricName(m.metric)])
+  );
+  const comparedWith = digest.historicalComparison
+    ? `, compared with ${periods.previous.label} and ${periods.lastYear.label}`
+    : "";
+
+  const metricRows = metrics
+    .map(
+      (m) => `
+      <tr>
+        <td style="${styles.td} text-align: left;">${labels[m.metric]}</td>
+        <td style="${styles.td}">${formatValue(m.metric, m.value)}</td>
+        ${
+          digest.historicalComparison
+            ? `<td style="${styles.td}">${formatChange(m.vsPrevious)}</td>
+        <td style="${styles.td}">${formatChange(m.vsLastYear)}</td>`
+            : ""
+        }
+      </tr>`
+    )
+    .join("");
+
+  const moverItems = movers
+    .map(
+      (m) =>
+        `<li>${labels[m.metric]} ${formatChange(
+          m.vsPrevious
+        )} <span style="color: #9ca3af;">(${formatValue(
+          m.metric,
+          m.value
+        )} vs ${formatValue(m.metric, m.previous)})</span></li>`
+    )
+    .join("");
+
+  const anomalyItems = anomalies
+    .map(
+      (insight) =>
+        `<li><strong>${insightsService.formatShortDate(
+          insight.date
+        )}</strong> - ${escapeHtml(insight.headline)}</li>`
+    )
+    .join("");
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #f9fafb;">
+        <div style="${styles.container}">
+          <!-- Header -->
+          <div style="${styles.header}">
+            <h1 style="${styles.headerTitle}">🔥 GobbleData</h1>
+            <p style="${styles.headerSubtitle}">${title}</p>
+          </div>
+
+          <!-- Content -->
+          <div style="${styles.content}">
+            <p style="${styles.greeting}">
+              Hey ${userName}! 👋
+            </p>
+            <p style="color: #6b7280; margin-bottom: 10px;">
+              Here's how ${periods.current.label} went${comparedWith}:
+            </p>
+
+            <!-- Totals -->
+            <div style="${styles.sectionTitle}">📊 Totals</div>
+            <table style="${styles.table}">
+              <tr>
+                <th style="${styles.th} text-align: left;">Metric</th>
+                <th style="${styles.th}">${periods.current.label}</th>
+                ${
+                  digest.historicalComparison
+                    ? `<th style="${styles.th}">vs previous</th>
+                <th style="${styles.th}">vs last year</th>`
+                    : ""
+                }
+              </tr>
+              ${metricRows}
+            </table>
+
+            ${
+              moverItems
+                ? `<!-- Movers -->
+            <div style="${styles.sectionTitle}">🚀 Biggest movers</div>
+            <ul style="${styles.list}">${moverItems}</ul>`
+                : ""
+            }
+
+            <!-- Anomalies -->
+            <div style="${styles.sectionTitle}">🔍 Anomalies this period</div>
+            ${
+              anomalyItems
+                ? `<ul style="${styles.list}">${anomalyItems}</ul>`
+                : '<p style="color: #6b7280; margin: 0;">Nothing unusual - every metric stayed within its normal range.</p>'
+            }
+
+            ${
+              digest.historicalComparison
+                ? ""
+                : `<div style="${styles.upgrade}">
+              📈 Upgrade to Growth to compare every period with the one before and the same period last year.
+            </div>`
+            }
+
+            <!-- CTA Button -->
+            <div style="text-align: center; margin-top: 30px;">
+              <a href="https://app.gobbledata.com" style="${styles.button}">
+                View Full Dashboard
+              </a>
+            </div>
+          </div>
+
+          <!-- Footer -->
+          <div style="${styles.footer}">
+            <p style="margin: 0 0 10px 0;">
+              © ${new Date().getFullYear()} GobbleData - Algorithm-Powered GA4 Insights
+            </p>
+            <p style="margin: 0; font-size: 12px;">
+              You're receiving this because you chose ${
+                digest.frequency
+              } reports.
+              <br>
+              <a href="https://app.gobbledata.com/settings" style="color: #667eea;">Manage preferences</a>
+            </p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
 /**
  * Validate email address format
  * @param {string} email - Email address to validate
@@ -222,16 +698,27 @@ async function retryEmailSend(emailFunction, maxRetries = 3) {
  * Send daily insights email to user
  * @param {string} userId - User ID from Supabase
  * @param {Array} insights - Array of top 3 insights
+ * @param {string} subscriptionTier - For tier branding (not used yet)
+ * @param {object} rollup - Portfolio roll-up section (optional)
  * @returns {Object} Success status and message
  */
-export async function sendDailyInsights(userId, insights) {
+export async function sendDailyInsights(
+  userId,
+  insights,
+  subscriptionTier = null,
+  rollup = null
+) {
   try {
     // Validate inputs
     if (!userId) {
       throw new Error("User ID is required");
     }
 
-    if (!insights || insights.length === 0) {
+    // A quiet day on the property still sends a roll-up with content
+    if (
+      (!insights || insights.length === 0) &&
+      !portfolioService.hasContent(rollup)
+    ) {
       throw new Error("No insights provided");
     }
 
@@ -264,7 +751,7 @@ export async function sendDailyInsights(userId, insights) {
     }
 
     // Generate HTML email
-    const htmlContent = generateEmailTemplate(insights, userName);
+    const htmlContent = generateEmailTemplate(insights, userName, rollup);
 
     // Send email via Resend
     // Send email via Resend with retry logic
@@ -759,3 +1246,101 @@ export async function sendNoInsightsEmail(userId) {
     };
   }
 }
+
+/**
+ * Send a weekly/monthly digest email to user
+ * @param {string} userId - User ID from Supabase
+ * @param {object} digest - digestService.buildDigest result
+ * @returns {Object} Success status and message
+ */
+export async function sendDigestEmail(userId, digest) {
+  try {
+    // Validate inputs
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    if (!digest) {
+      throw new Error("No digest provided");
+    }
+
+    // Get user email from Supabase Auth
+    const {
+      data: { user },
+      error: authError,
+    } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+    if (authError || !user || !user.email) {
+      throw new Error(
+        `User not found or has no email: ${
+          authError?.message || "Unknown error"
+        }`
+      );
+    }
+
+    // Get display name from user_profiles (optional)
+    const { data: profile } = await supabaseAdmin
+      .from("user_profiles")
+      .select("display_name")
+      .eq("id", userId)
+      .single();
+
+    const userName = profile?.display_name || user.email.split("@")[0];
+
+    // Validate email address
+    if (!isValidEmail(user.email)) {
+      throw new Error("Invalid email address format");
+    }
+
+    const htmlContent = generateDigestTemplate(digest, userName);
+
+    // Send email via Resend with retry logic
+    const emailResult = await retryEmailSend(async () => {
+      const { data, error } = await resend.emails.send({
+        from: "GobbleData Insights <insights@gobbledata.com>",
+        to: [user.email],
+        subject: `📊 Your ${
+          digest.frequency === "monthly" ? "Monthly" : "Weekly"
+        } GA4 Recap - ${digest.periods.current.label}`,
+        html: htmlContent,
+      });
+
+      if (error) {
+        console.error("❌ Resend API error (digest email):", error);
+        return {
+          success: false,
+          error: error.message,
+        };
+      }
+
+      console.log("✅ Digest email sent successfully:", {
+        emailId: data.id,
+        to: user.email,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        success: true,
+        message: "Digest email sent successfully",
+        emailId: data.id,
+        recipient: user.email,
+      };
+    });
+
+    // Return the result from retry wrapper
+    if (!emailResult.success) {
+      throw new Error(
+        `Failed to send digest email after retries: ${emailResult.error}`
+      );
+    }
+
+    return emailResult;
+  } catch (error) {
+    console.error("❌ Error sending digest email:", error);
+    return {
+      success: false,
+      message: error.message,
+      error: error,
+    };
+  }
+}
@@ -0,0 +1,236 @@
+// Feedback Service - Recipients rate insights; ratings tune the engine
+// - thresholds: metrics whose insights keep getting dismissed need a bigger
+//   change before they're reported (and slightly smaller when always useful)
+// - ranking: insight types users consistently dismiss are down-ranked
+//
+// Table: insight_feedback
+//   id, daily_insight_id (unique), user_id, ga4_connection_id, insight_key,
+//   metric_name, rating (useful | not_useful | expected), source (email | app),
+//   rated_at
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService, ANALYZED_METRICS } from "./insights.service.js";
+import { getInsightType } from "../config/playbooks.js";
+
+export const FEEDBACK_RATINGS = ["useful", "not_useful", "expected"];
+const FEEDBACK_LOOKBACK_DAYS = 90; // Older ratings stop counting
+const MIN_FEEDBACK = 5; // Ratings needed before anything is tuned
+const EXPECTED_WEIGHT = 0.5; // "Expected" is half a dismissal - true, not news
+const DISMISS_CUTOFF = 0.5; // Dismissal share where tuning starts
+const USEFUL_CUTOFF = 0.8; // Useful share where thresholds relax
+const MAX_THRESHOLD_FACTOR = 2;
+const USEFUL_THRESHOLD_FACTOR = 0.85;
+const MIN_TYPE_WEIGHT = 0.25; // Dismissed types sink, but never vanish
+
+export const feedbackService = {
+  /**
+   * Insight type a rating applies to (same keys as action playbooks;
+   * goal pacing and recoveries get their own so they don't tune anomalies,
+   * tracking issues use their playbook key)
+   * @param {object} row - daily_insights row
+   */
+  getInsightKey(row) {
+    const data = row.supporting_data || {};
+    if (data.pattern) return data.pattern;
+    if (data.pacing) return `pacing:${row.metric_name}`;
+    if (data.lifecycle?.status === "recovered") {
+      return `recovered:${row.metric_name}`;
+    }
+    return getInsightType({
+      trackingIssue: data.trackingIssue,
+      botTraffic: data.botTraffic,
+      page: data.page,
+      event: data.event,
+      metric: row.metric_name,
+      direction: row.direction,
+    });
+  },
+
+  /**
+   * Store a rating (a later rating of the same insight replaces it)
+   * @returns {object|null} The saved feedback, or null if the insight
+   *   doesn't exist or isn't the user's
+   */
+  async recordFeedback({ insightId, userId = null, rating, source }) {
+    let query = supabaseAdmin
+      .from("daily_insights")
+      .select(
+        "id, user_id, ga4_connection_id, metric_name, direction, supporting_data"
+      )
+      .eq("id", insightId);
+    if (userId) query = query.eq("user_id", userId);
+
+    const { data: insight, error: insightError } = await query.maybeSingle();
+    if (insightError) throw insightError;
+    if (!insight) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from("insight_feedback")
+      .upsert(
+        {
+          daily_insight_id: insight.id,
+          user_id: insight.user_id,
+          ga4_connection_id: insight.ga4_connection_id,
+          insight_key: this.getInsightKey(insight),
+          metric_name: insight.metric_name,
+          rating,
+          source,
+          rated_at: new Date().toISOString(),
+        },
+        { onConflict: "daily_insight_id" }
+      )
+      .select("daily_insight_id, insight_key, rating")
+      .single();
+
+    if (error) throw error;
+
+    console.log(`👍 Feedback "${rating}" on ${data.insight_key}`);
+    return data;
+  },
+
+  /**
+   * Rating counts per insight type over the lookback window
+   * @returns {object} { [insightKey]: { useful, not_useful, expected, total } }
+   */
+  async getFeedbackSummary(connectionId) {
+    const since = new Date();
+    since.setDate(since.getDate() - FEEDBACK_LOOKBACK_DAYS);
+
+    const { data, error } = await supabaseAdmin
+      .from("insight_feedback")
+      .select("insight_key, rating")
+      .eq("ga4_connection_id", connectionId)
+      .gte("rated_at", since.toISOString());
+
+    if (error) throw error;
+
+    const summary = {};
+    for (const { insight_key: key, rating } of data || []) {
+      summary[key] = summary[key] || {
+        useful: 0,
+        not_useful: 0,
+        expected: 0,
+        total: 0,
+      };
+      summary[key][rating] = (summary[key][rating] || 0) + 1;
+      summary[key].total++;
+    }
+
+    return summary;
+  },
+
+  /**
+   * Engine options learned from a property's feedback
+   * Failures are logged and treated as "no feedback"
+   * @param {object} connection - ga4_connections row (for its own thresholds)
+   * @returns {object} { thresholds, typeWeights } - thresholds keyed by
+   *   engine metric, typeWeights by insight key (for rankingService)
+   */
+  async getTuning(connection) {
+    let summary;
+    try {
+      summary = await this.getFeedbackSummary(connection.id);
+    } catch (error) {
+      console.error("⚠️  Could not load insight feedback:", error.message);
+      return { thresholds: {}, typeWeights: {} };
+    }
+
+    return this.calculateTuning(summary, connection.analysis_settings || {});
+  },
+
+  /**
+   * Turn rating counts into threshold changes and ranking weights
+   */
+  calculateTuning(summary, analysisSettings = {}) {
+    const dismissShare = (counts) =>
+      (counts.not_useful + EXPECTED_WEIGHT * counts.expected) / counts.total;
+
+    // Down-rank insight types users keep dismissing
+    const typeWeights = {};
+    for (const [key, counts] of Object.entries(summary)) {
+      if (counts.total < MIN_FEEDBACK) continue;
+      const dismissed = dismissShare(counts);
+      if (dismissed <= DISMISS_CUTOFF) continue;
+
+      typeWeights[key] = Math.max(
+        MIN_TYPE_WEIGHT,
+        1 - (dismissed - DISMISS_CUTOFF) * 1.5
+      );
+    }
+
+    // Per-metric thresholds (both directions of a metric's anomalies)
+    const { thresholds: current } =
+      insightsService.getAlgorithmSettings(analysisSettings);
+    const thresholds = {};
+    for (const metricName of ANALYZED_METRICS) {
+      const counts = ["up", "down"]
+        .map((direction) => summary[`${metricName}_${direction}`])
+        .filter(Boolean)
+        .reduce(
+          (acc, c) => ({
+            useful: acc.useful + c.useful,
+            not_useful: acc.not_useful + c.not_useful,
+            expected: acc.expected + c.expected,
+            total: acc.total + c.total,
+          }),
+          { useful: 0, not_useful: 0, expected: 0, total: 0 }
+        );
+      if (counts.total < MIN_FEEDBACK) continue;
+
+      const dismissed = dismissShare(counts);
+      const factor =
+        dismissed > DISMISS_CUTOFF
+          ? Math.min(MAX_THRESHOLD_FACTOR, 1 + (dismissed - DISMISS_CUTOFF) * 2)
+          : counts.useful / counts.total >= USEFUL_CUTOFF
+          ? USEFUL_THRESHOLD_FACTOR
+          : 1;
+      if (factor === 1) continue;
+
+      thresholds[metricName] =
+        insightsService.getMetricThreshold(metricName, current) * factor;
+    }
+
+    return { thresholds, typeWeights };
+  },
+
+  /**
+   * One-click feedback link for the email (null if links aren't configured)
+   */
+  getFeedbackUrl(insightId, rating) {
+    if (!config.feedback.signingSecret || !insightId) return null;
+
+    const params = new URLSearchParams({
+      insight: insightId,
+      rating,
+      sig: this.sign(insightId, rating),
+    });
+    return `${config.apiUrl}/api/insights/feedback?${params}`;
+  },
+
+  /**
+   * HMAC signature binding a link to one insight and one rating
+   */
+  sign(insightId, rating) {
+    return crypto
+      .createHmac("sha256", config.feedback.signingSecret)
+      .update(`${insightId}:${rating}`)
+      .digest("hex");
+  },
+
+  /**
+   * Check a one-click link's signature
+   */
+  verifySignature(insightId, rating, signature) {
+    if (!config.feedback.signingSecret || typeof signature !== "string") {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(insightId, rating), "hex");
+    const received = Buffer.from(signature, "hex");
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  },
+};
@@ -0,0 +1,180 @@
+// Forecast Service - Holt-Winters (additive) forecasting with prediction intervals
+// Fits level + trend + weekly seasonality to a daily series
+
+const SEASON_LENGTH = 7; // Weekly seasonality
+const Z_95 = 1.96;
+const Z_99 = 2.576;
+
+// Smoothing parameter grid (small enough to brute-force on 90 days)
+const ALPHA_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.8];
+const BETA_GRID = [0, 0.02, 0.05, 0.1, 0.2];
+const GAMMA_GRID = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+export const forecastService = {
+  /**
+   * Highest value a metric can forecast to: 1 for shares of sessions
+   * (engagementRate, bounceRate); conversionRate can exceed 1 since a
+   * session can convert more than once
+   */
+  getUpperBound(metricName) {
+    return metricName.includes("Rate") && metricName !== "conversionRate"
+      ? 1
+      : Infinity;
+  },
+
+  /**
+   * Minimum history needed to fit a model (two full seasons)
+   */
+  minTrainingPoints() {
+    return SEASON_LENGTH * 2;
+  },
+
+  /**
+   * Fit Holt-Winters to a series, picking the smoothing parameters
+   * with the lowest one-step-ahead squared error
+   * @param {Array<number>} values - Chronological daily values
+   * @returns {object|null} Fitted model, or null if history is too short
+   */
+  fit(values) {
+    if (!values || values.length < this.minTrainingPoints()) return null;
+
+    let best = null;
+    for (const alpha of ALPHA_GRID) {
+      for (const beta of BETA_GRID) {
+        for (const gamma of GAMMA_GRID) {
+          const model = this.fitWithParams(values, { alpha, beta, gamma });
+          if (!best || model.sse < best.sse) best = model;
+        }
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Run the Holt-Winters recursions for fixed smoothing parameters
+   */
+  fitWithParams(values, { alpha, beta, gamma }) {
+    const m = SEASON_LENGTH;
+    const mean = (arr) => arr.reduce((acc, val) => acc + val, 0) / arr.length;
+
+    // Initialise from the first two seasons
+    const firstSeasonMean = mean(values.slice(0, m));
+    const secondSeasonMean = mean(values.slice(m, 2 * m));
+
+    let level = firstSeasonMean;
+    let trend = (secondSeasonMean - firstSeasonMean) / m;
+    const seasonals = values.slice(0, m).map((val) => val - firstSeasonMean);
+
+    let sse = 0;
+    const fitted = [];
+    for (let t = m; t < values.length; t++) {
+      const season = seasonals[t % m];
+      const predicted = level + trend + season;
+      fitted.push(predicted);
+      const error = values[t] - predicted;
+      sse += error * error;
+
+      const previousLevel = level;
+      level = alpha * (values[t] - season) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      seasonals[t % m] = gamma * (values[t] - level) + (1 - gamma) * season;
+    }
+
+    const errorCount = values.length - m;
+
+    return {
+      alpha,
+      beta,
+      gamma,
+      level,
+      trend,
+      seasonals,
+      observations: values.length,
+      fitted, // One-step-ahead predictions from the (m+1)th day on
+      sse,
+      sigma: errorCount > 0 ? Math.sqrt(sse / errorCount) : 0,
+    };
+  },
+
+  /**
+   * Forecast the next `horizon` days with 95% and 99% prediction intervals
+   * @param {object} model - Model returned by fit()
+   * @param {number} horizon - Number of days ahead
+   * @param {object} options - { min, max } to clamp bounds (e.g. rates in 0-1)
+   * @returns {Array<object>} [{ step, value, lower95, upper95, lower99, upper99 }]
+   */
+  forecast(model, horizon, options = {}) {
+    const { min = -Infinity, max = Infinity } = options;
+    const clamp = (val) => Math.min(max, Math.max(min, val));
+    const m = SEASON_LENGTH;
+
+    const points = [];
+    let varianceFactor = 1; // 1 + Σ c_j² for j < h
+
+    for (let h = 1; h <= horizon; h++) {
+      if (h > 1) {
+        const j = h - 1;
+        const c =
+          model.alpha * (1 + j * model.beta) + (j % m === 0 ? model.gamma : 0);
+        varianceFactor += c * c;
+      }
+
+      const value =
+        model.level +
+        h * model.trend +
+        model.seasonals[(model.observations + h - 1) % m];
+      const stdError = model.sigma * Math.sqrt(varianceFactor);
+
+      points.push({
+        step: h,
+        value: clamp(value),
+        stdError,
+        lower95: clamp(value - Z_95 * stdError),
+        upper95: clamp(value + Z_95 * stdError),
+        lower99: clamp(value - Z_99 * stdError),
+        upper99: clamp(value + Z_99 * stdError),
+      });
+    }
+
+    return points;
+  },
+
+  /**
+   * Expected values for a metric's daily series and the days after it
+   * @param {Array} dailyData - Chronological daily rows ({ date, ...metrics })
+   * @param {string} metricName
+   * @param {number} horizon - Days to forecast past the last row
+   * @returns {object|null} { history: [{ date, actual, expected }],
+   *   forecast: [{ date, value, lower95, upper95, lower99, upper99 }] } -
+   *   expected is the one-step-ahead prediction (null for the first week);
+   *   null if the history is too short to fit
+   */
+  forecastDaily(dailyData, metricName, horizon) {
+    const values = dailyData.map((d) => d[metricName] || 0);
+    const model = this.fit(values);
+    if (!model) return null;
+
+    const max = this.getUpperBound(metricName);
+    const points = this.forecast(model, horizon, { min: 0, max });
+    const lastDate = new Date(
+      `${dailyData[dailyData.length - 1].date}T00:00:00Z`
+    );
+
+    return {
+      history: dailyData.map((d, i) => ({
+        date: d.date,
+        actual: values[i],
+        expected:
+          i < SEASON_LENGTH
+            ? null
+            : Math.min(max, Math.max(0, model.fitted[i - SEASON_LENGTH])),
+      })),
+      forecast: points.map(({ step, stdError, ...point }) => {
+        const date = new Date(lastDate);
+        date.setUTCDate(date.getUTCDate() + step);
+        return { date: date.toISOString().split("T")[0], ...point };
+      }),
+    };
+  },
+};
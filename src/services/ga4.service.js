@@ -125,6 +125,7 @@ export const ga4Service = {
           "engagementRate",
           "bounceRate",
           "totalRevenue",
+          "transactions",
         ],
       } = options;
 
@@ -232,12 +233,340 @@ export const ga4Service = {
     }
   },
 
+  /**
+   * Fetch a metric breakdown by date and one extra dimension
+   * Used to drill into anomalies (channel, device, country, landing page)
+   * @param {string} propertyId - GA4 property ID
+   * @param {string} accessToken - Valid OAuth access token
+   * @param {string} refreshToken - Refresh token for auto-renewal
+   * @param {object} options - Dimension, metrics and date range
+   * @returns {object} Rows of { date, segment, ...metrics }
+   */
+  async fetchDimensionBreakdown(
+    propertyId,
+    accessToken,
+    refreshToken,
+    options = {}
+  ) {
+    const {
+      dimension,
+      metrics = ["sessions"],
+      startDate = "28daysAgo",
+      endDate = "yesterday",
+      limit = 10000,
+    } = options;
+
+    if (!dimension) {
+      throw new Error("A breakdown dimension is required");
+    }
+
+    const { response, newAccessToken } = await this._runReport(
+      propertyId,
+      accessToken,
+      refreshToken,
+      {
+        dateRanges: [{ startDate, endDate }],
+        metrics: metrics.map((name) => ({ name })),
+        dimensions: [{ name: "date" }, { name: dimension }],
+        keepEmptyRows: false,
+        limit,
+      }
+    );
+
+    const { rows = [], metricHeaders = [] } = response.data;
+
+    const parsedRows = rows.map((row) => {
+      const values = {};
+      metricHeaders.forEach((header, index) => {
+        values[header.name] = parseFloat(row.metricValues[index]?.value) || 0;
+      });
+
+      return {
+        date: this.formatDate(row.dimensionValues[0].value),
+        segment: row.dimensionValues[1].value,
+        ...values,
+      };
+    });
+
+    return {
+      propertyId,
+      dimension,
+      dateRange: { startDate, endDate },
+      rows: parsedRows,
+      newAccessToken,
+      tokenRefreshed: Boolean(newAccessToken),
+    };
+  },
+
+  /**
+   * Fetch daily series for a property's top landing pages
+   * Used for page-level anomaly detection (a broken page or one that fell
+   * out of search is invisible in site-wide totals)
+   * @param {string} propertyId - GA4 property ID
+   * @param {string} accessToken - Valid OAuth access token
+   * @param {string} refreshToken - Refresh token for auto-renewal
+   * @param {object} options - Date range, number of pages and metrics
+   * @returns {object} { pages: [{ path, url, daily: [{ date, ...metrics }] }] }
+   */
+  async fetchLandingPages(propertyId, accessToken, refreshToken, options = {}) {
+    const {
+      startDate = "28daysAgo",
+      endDate = "yesterday",
+      limit = 10,
+      metrics = ["sessions", "conversions"],
+    } = options;
+
+    // 1. Top pages by sessions over the range (hostName builds the link)
+    const top = await this._runReport(propertyId, accessToken, refreshToken, {
+      dateRanges: [{ startDate, endDate }],
+      metrics: [{ name: "sessions" }],
+      dimensions: [{ name: "hostName" }, { name: "landingPage" }],
+      orderBys: [{ metric: { metricName: "sessions" }, desc: true }],
+      dimensionFilter: {
+        notExpression: {
+          filter: {
+            fieldName: "landingPage",
+            stringFilter: { value: "(not set)" },
+          },
+        },
+      },
+      limit: limit * 2, // The same path can appear under several hosts
+    });
+    let newAccessToken = top.newAccessToken;
+
+    const urls = new Map();
+    for (const row of top.response.data.rows || []) {
+      const [hostName, path] = row.dimensionValues.map((d) => d.value);
+      if (urls.size >= limit) break;
+      if (!urls.has(path)) urls.set(path, `https://${hostName}${path}`);
+    }
+
+    if (urls.size === 0) {
+      return {
+        propertyId,
+        pages: [],
+        newAccessToken,
+        tokenRefreshed: Boolean(newAccessToken),
+      };
+    }
+
+    // 2. Daily metrics for just those pages
+    const daily = await this._runReport(
+      propertyId,
+      newAccessToken || accessToken,
+      refreshToken,
+      {
+        dateRanges: [{ startDate, endDate }],
+        metrics: metrics.map((name) => ({ name })),
+        dimensions: [{ name: "date" }, { name: "landingPage" }],
+        dimensionFilter: {
+          filter: {
+            fieldName: "landingPage",
+            inListFilter: { values: [...urls.keys()] },
+          },
+        },
+        keepEmptyRows: false,
+        limit: 10000,
+      }
+    );
+    newAccessToken = daily.newAccessToken || newAccessToken;
+
+    const { rows = [], metricHeaders = [] } = daily.response.data;
+    const pages = new Map(
+      [...urls].map(([path, url]) => [path, { path, url, daily: [] }])
+    );
+    for (const row of rows) {
+      const values = {};
+      metricHeaders.forEach((header, index) => {
+        values[header.name] = parseFloat(row.metricValues[index]?.value) || 0;
+      });
+
+      pages.get(row.dimensionValues[1].value)?.daily.push({
+        date: this.formatDate(row.dimensionValues[0].value),
+        ...values,
+      });
+    }
+
+    return {
+      propertyId,
+      pages: [...pages.values()],
+      newAccessToken,
+      tokenRefreshed: Boolean(newAccessToken),
+    };
+  },
+
+  /**
+   * List a property's events by volume (for choosing which to watch)
+   * @param {string} propertyId - GA4 property ID
+   * @param {string} accessToken - Valid OAuth access token
+   * @param {string} refreshToken - Refresh token for auto-renewal
+   * @param {object} options - Date range and number of events
+   * @returns {object} { events: [{ name, eventCount, keyEvents, keyEvent }] }
+   */
+  async fetchEventNames(propertyId, accessToken, refreshToken, options = {}) {
+    const {
+      startDate = "28daysAgo",
+      endDate = "yesterday",
+      limit = 100,
+    } = options;
+
+    const { response, newAccessToken } = await this._runReport(
+      propertyId,
+      accessToken,
+      refreshToken,
+      {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: "eventCount" }, { name: "keyEvents" }],
+        dimensions: [{ name: "eventName" }],
+        orderBys: [{ metric: { metricName: "eventCount" }, desc: true }],
+        limit,
+      }
+    );
+
+    const events = (response.data.rows || []).map((row) => {
+      const [eventCount, keyEvents] = row.metricValues.map(
+        (v) => parseFloat(v.value) || 0
+      );
+      return {
+        name: row.dimensionValues[0].value,
+        eventCount,
+        keyEvents,
+        keyEvent: keyEvents > 0,
+      };
+    });
+
+    return {
+      propertyId,
+      events,
+      newAccessToken,
+      tokenRefreshed: Boolean(newAccessToken),
+    };
+  },
+
+  /**
+   * Fetch daily counts for specific events
+   * Used for per-event monitoring (a broken purchase or generate_lead tag
+   * barely moves the aggregate conversions metric)
+   * @param {string} propertyId - GA4 property ID
+   * @param {string} accessToken - Valid OAuth access token
+   * @param {string} refreshToken - Refresh token for auto-renewal
+   * @param {object} options - Event names and date range
+   * @returns {object} { events: [{ name, keyEvent, daily: [{ date,
+   *   eventCount, keyEvents }] }] } - one entry per requested event
+   */
+  async fetchEventCounts(propertyId, accessToken, refreshToken, options = {}) {
+    const {
+      events = [],
+      startDate = "28daysAgo",
+      endDate = "yesterday",
+    } = options;
+
+    if (events.length === 0) {
+      return {
+        propertyId,
+        events: [],
+        newAccessToken: null,
+        tokenRefreshed: false,
+      };
+    }
+
+    const { response, newAccessToken } = await this._runReport(
+      propertyId,
+      accessToken,
+      refreshToken,
+      {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: "eventCount" }, { name: "keyEvents" }],
+        dimensions: [{ name: "date" }, { name: "eventName" }],
+        dimensionFilter: {
+          filter: {
+            fieldName: "eventName",
+            inListFilter: { values: events },
+          },
+        },
+        keepEmptyRows: false,
+        limit: 10000,
+      }
+    );
+
+    // Events with no rows at all are kept: zero counts are the signal
+    const byName = new Map(
+      events.map((name) => [name, { name, keyEvent: false, daily: [] }])
+    );
+    for (const row of response.data.rows || []) {
+      const [eventCount, keyEvents] = row.metricValues.map(
+        (v) => parseFloat(v.value) || 0
+      );
+      const event = byName.get(row.dimensionValues[1].value);
+      if (!event) continue;
+
+      event.keyEvent = event.keyEvent || keyEvents > 0;
+      event.daily.push({
+        date: this.formatDate(row.dimensionValues[0].value),
+        eventCount,
+        keyEvents,
+      });
+    }
+
+    return {
+      propertyId,
+      events: [...byName.values()],
+      newAccessToken,
+      tokenRefreshed: Boolean(newAccessToken),
+    };
+  },
+
+  /**
+   * Helper: Run a Data API report, refreshing the access token once on 401
+   * @private
+   */
+  async _runReport(propertyId, accessToken, refreshToken, requestBody) {
+    const analyticsData = google.analyticsdata("v1beta");
+
+    oauth2Client.setCredentials({
+      access_token: accessToken,
+      refresh_token: refreshToken,
+    });
+
+    try {
+      const response = await analyticsData.properties.runReport({
+        auth: oauth2Client,
+        property: `properties/${propertyId}`,
+        requestBody,
+      });
+      return { response, newAccessToken: null };
+    } catch (error) {
+      if (error.code !== 401 && !error.message?.includes("invalid_grant")) {
+        if (error.code === 403) {
+          throw new Error("Insufficient permissions - check GA4 access");
+        }
+        throw error;
+      }
+
+      console.log("🔄 Access token expired, refreshing...");
+      const newCredentials = await this.refreshAccessToken(refreshToken);
+
+      oauth2Client.setCredentials({
+        access_token: newCredentials.access_token,
+        refresh_token: refreshToken,
+      });
+
+      const response = await analyticsData.properties.runReport({
+        auth: oauth2Client,
+        property: `properties/${propertyId}`,
+        requestBody,
+      });
+      return { response, newAccessToken: newCredentials.access_token };
+    }
+  },
+
   /**
    * Helper: Parse GA4 API response
    * @private
    */
   _parseResponse(response, propertyId, startDate, endDate) {
-    const { rows, totals, metricHeaders } = response.data;
+    const { rows, totals, metricHeaders, metadata } = response.data;
+    const currencyCode = metadata?.currencyCode || null;
 
     if (!rows || rows.length === 0) {
       console.log("⚠️  No data available for this date range");
@@ -245,6 +574,7 @@ export const ga4Service = {
         hasData: false,
         propertyId,
         dateRange: { startDate, endDate },
+        currencyCode,
         totals: {},
         daily: [],
       };
@@ -283,6 +613,7 @@ export const ga4Service = {
       hasData: true,
       propertyId,
       dateRange: { startDate, endDate },
+      currencyCode, // Property currency (for revenue formatting)
       totals: totalMetrics,
       daily: dailyData,
     };
@@ -0,0 +1,203 @@
+// Impact Service - What an anomaly is worth in conversions and revenue
+// A 30% drop in sessions and a 30% drop in conversion rate read the same as
+// percentages but cost very different amounts. Each anomalous day's gap
+// between actual and expected is turned into conversions using the
+// property's usual rates (conversion rate, conversions per engaged or
+// non-bounced session), and conversions into revenue using its usual
+// revenue per conversion (average order value spread over all conversions,
+// so lead-type key events aren't priced as orders).
+//
+// Estimates are summed over the days an anomaly showed up on in the run and
+// rankingService orders insights by them
+const MIN_RATE = 0.001; // Rates this close to 0 (or 1) can't be divided by
+
+export const impactService = {
+  /**
+   * The property's usual rates, session-weighted over baseline days
+   * @param {Array} baselineDays - Days without annotations or bot bursts
+   * @returns {object} { conversionRate, conversionsPerUser, engagementRate,
+   *   bounceRate, averageOrderValue, revenuePerConversion } - null where
+   *   the property doesn't collect the inputs
+   */
+  getRates(baselineDays) {
+    const sum = (metric) =>
+      baselineDays.reduce((acc, d) => acc + (d[metric] || 0), 0);
+    const sessions = sum("sessions");
+    const users = sum("totalUsers");
+    const conversions = sum("conversions");
+    const transactions = sum("transactions");
+    const revenue = sum("totalRevenue");
+    const weightedRate = (metric) =>
+      sessions > 0
+        ? baselineDays.reduce(
+            (acc, d) => acc + (d[metric] || 0) * (d.sessions || 0),
+            0
+          ) / sessions
+        : null;
+
+    return {
+      conversionRate:
+        conversions > 0 && sessions > 0 ? conversions / sessions : null,
+      conversionsPerUser:
+        conversions > 0 && users > 0 ? conversions / users : null,
+      engagementRate: weightedRate("engagementRate"),
+      bounceRate: weightedRate("bounceRate"),
+      averageOrderValue:
+        revenue > 0 && transactions > 0 ? revenue / transactions : null,
+      revenuePerConversion:
+        revenue > 0 && conversions > 0 ? revenue / conversions : null,
+    };
+  },
+
+  /**
+   * One day's estimate for a metric's gap between actual and expected
+   * @param {object} item - { metric, currentValue, expectedValue, event }
+   * @param {object} day - The site's row for the date (for sessions etc.)
+   * @param {object} rates - getRates()
+   * @returns {object|null} { conversions, revenue } - either may be null;
+   *   null when the metric can't be priced (e.g. a non-key event)
+   */
+  estimateDay(item, day, rates) {
+    const delta = (item.currentValue || 0) - (item.expectedValue || 0);
+    const sessions = day?.sessions || 0;
+    const perSession = (rate) =>
+      rates.conversionRate !== null && rate > MIN_RATE
+        ? rates.conversionRate / rate
+        : null;
+    const times = (a, b) => (a === null || b === null ? null : a * b);
+
+    let conversions = null;
+    let revenue = null;
+    switch (item.metric) {
+      case "sessions":
+        conversions = times(delta, rates.conversionRate);
+        break;
+      case "totalUsers":
+        conversions = times(delta, rates.conversionsPerUser);
+        break;
+      case "conversions":
+        conversions = delta;
+        break;
+      case "transactions":
+        conversions = delta;
+        revenue = times(delta, rates.averageOrderValue);
+        break;
+      case "conversionRate":
+        conversions = delta * sessions;
+        break;
+      case "engagementRate":
+        // Sessions that stopped engaging, at the engaged sessions' rate
+        conversions = times(delta * sessions, perSession(rates.engagementRate));
+        break;
+      case "bounceRate":
+        // Sessions that bounced instead, at the non-bounced sessions' rate
+        conversions = times(
+          -delta * sessions,
+          perSession(rates.bounceRate === null ? null : 1 - rates.bounceRate)
+        );
+        break;
+      case "totalRevenue":
+        revenue = delta;
+        break;
+      case "averageOrderValue":
+        revenue = delta * (day?.transactions || 0);
+        break;
+      case "revenuePerSession":
+        revenue = delta * sessions;
+        break;
+      case "eventCount":
+        // Key events count as conversions in GA4
+        conversions = item.event?.keyEvent ? delta : null;
+        break;
+      default:
+        return null;
+    }
+
+    if (revenue === null) {
+      revenue = times(conversions, rates.revenuePerConversion);
+    }
+    if (conversions === null && revenue === null) return null;
+
+    return { conversions, revenue };
+  },
+
+  /**
+   * Estimate for an insight's day
+   * A pattern's effect is what happened to its outcome (e.g. a tracking
+   * loss where conversions held costs nothing), so an outcome metric among
+   * its components or its steady metric is used; otherwise its largest
+   * component
+   */
+  estimateInsight(insight, day, rates) {
+    if (!insight.pattern) return this.estimateDay(insight, day, rates);
+
+    const candidates = [
+      ...(insight.components || []),
+      ...(insight.steadyMetric ? [insight.steadyMetric] : []),
+    ];
+    const outcome = candidates.find((c) =>
+      ["totalRevenue", "transactions", "conversions"].includes(c.metric)
+    );
+    if (outcome) return this.estimateDay(outcome, day, rates);
+
+    return (
+      candidates
+        .map((c) => this.estimateDay(c, day, rates))
+        .filter(Boolean)
+        .sort(
+          (a, b) =>
+            Math.abs(b.revenue ?? b.conversions) -
+            Math.abs(a.revenue ?? a.conversions)
+        )[0] || null
+    );
+  },
+
+  /**
+   * Add up the daily estimates of one anomaly
+   * @param {Array} insights - The anomaly's days (each with businessImpact)
+   * @returns {object|null} { conversions, revenue, days, startDate,
+   *   endDate, currency }
+   */
+  combine(insights) {
+    const estimated = insights.filter((i) => i.businessImpact);
+    if (estimated.length === 0) return null;
+
+    const total = (field) =>
+      estimated.some((i) => i.businessImpact[field] !== null)
+        ? estimated.reduce((acc, i) => acc + (i.businessImpact[field] || 0), 0)
+        : null;
+    const dates = estimated.map((i) => i.date).sort();
+
+    return {
+      conversions: total("conversions"),
+      revenue: total("revenue"),
+      days: estimated.length,
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      currency: estimated[0].businessImpact.currency,
+    };
+  },
+
+  /**
+   * Attach each insight's one-day estimate (insight.businessImpact)
+   * @param {Array} insights - One insight per anomalous day
+   * @param {Array} sortedData - The site's daily rows
+   * @param {object} rates - getRates()
+   */
+  attach(insights, sortedData, rates) {
+    for (const insight of insights) {
+      const day = sortedData.find((d) => d.date === insight.date);
+      const estimate = this.estimateInsight(insight, day, rates);
+      insight.businessImpact = estimate
+        ? {
+            ...estimate,
+            days: 1,
+            startDate: insight.date,
+            endDate: insight.date,
+            currency: insight.currency,
+          }
+        : null;
+    }
+    return insights;
+  },
+};
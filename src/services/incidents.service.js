@@ -0,0 +1,247 @@
+// Incidents Service - Insight lifecycle across daily runs
+// An incident is one anomaly (metric or pattern + direction) from the day it
+// starts until it recovers, so emails can say "Sessions still down (day 4)"
+// or "Sessions recovered" instead of reporting the same drop as new
+//
+// Table: insight_incidents
+//   id, user_id, ga4_connection_id, incident_key, metric_name, pattern,
+//   direction, status (new | ongoing | recovered), start_date,
+//   last_seen_date, recovered_date, expected_value, peak_percent_change
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+
+export const INCIDENT_STATUSES = ["new", "ongoing", "recovered"];
+const OPEN_STATUSES = ["new", "ongoing"];
+const INCIDENT_LOOKBACK_DAYS = 14; // Closed incidents older than this are ignored
+
+/**
+ * What an incident key's data comes from: "page", "event" or "site"
+ */
+function getScope(incidentKey) {
+  const [prefix] = incidentKey.split(":");
+  return prefix === "page" || prefix === "event" ? prefix : "site";
+}
+
+export const incidentsService = {
+  /**
+   * Match a run's insights to the property's incidents
+   * - new: no open incident for this metric + direction
+   * - ongoing: open incident that is still anomalous on the latest day
+   * - recovered: open incident that is no longer significant at all (one
+   *   that is still significant but ranked out of the email stays open, and
+   *   so does one whose data wasn't analyzed this run)
+   * Insights for days that were already reported are dropped
+   * @param {object} connection - ga4_connections row
+   * @param {Array} insights - Output of insightsService.analyzeMetrics
+   * @param {Array} dailyData - Daily metrics the insights were built from
+   * @param {string} currency - Property currency (for recovery insights)
+   * @param {Map} significantKeys - Incident key -> latest date of every
+   *   significant anomaly (insights.significantKeys; defaults to the
+   *   insights' own keys)
+   * @param {Set} analyzedScopes - Scopes the run tested
+   *   (insights.analyzedScopes; all of them when not set)
+   * @returns {Array} Insights to report (active first, then recoveries),
+   *   each with status, incidentId, startDate and daysActive
+   */
+  async trackInsights(
+    connection,
+    insights,
+    dailyData,
+    currency,
+    significantKeys = insights.significantKeys,
+    analyzedScopes = insights.analyzedScopes
+  ) {
+    const latestDay = [...dailyData]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .pop();
+    if (!latestDay) return insights;
+    const latestDate = latestDay.date;
+
+    const lookbackStart = new Date(latestDate);
+    lookbackStart.setDate(lookbackStart.getDate() - INCIDENT_LOOKBACK_DAYS);
+
+    const { data: incidents, error } = await supabaseAdmin
+      .from("insight_incidents")
+      .select("*")
+      .eq("ga4_connection_id", connection.id)
+      .gte("last_seen_date", lookbackStart.toISOString().split("T")[0]);
+
+    if (error) {
+      // Better to repeat an insight than to drop the whole email
+      console.error("⚠️  Could not load insight incidents:", error.message);
+      return insights.map((insight) => ({ ...insight, status: "new" }));
+    }
+
+    const seenIncidentIds = new Set();
+    const activeInsights = [];
+
+    for (const insight of insights) {
+      const key = insightsService.getIncidentKey(insight);
+      const matching = incidents.filter((i) => i.incident_key === key);
+      const open = matching.find((i) => OPEN_STATUSES.includes(i.status));
+
+      // Already reported on an earlier run (the anomaly is just still
+      // inside the analysis window)
+      if (
+        insight.date < latestDate &&
+        matching.some((i) => i.last_seen_date >= insight.date)
+      ) {
+        continue;
+      }
+
+      if (open) {
+        seenIncidentIds.add(open.id);
+        activeInsights.push(await this.continueIncident(open, insight));
+      } else {
+        activeInsights.push(await this.openIncident(connection, insight, key));
+      }
+    }
+
+    // Still significant, just not emailed: keep the incident open
+    for (const incident of incidents) {
+      const seenDate = significantKeys?.get(incident.incident_key);
+      if (
+        !seenDate ||
+        seenIncidentIds.has(incident.id) ||
+        !OPEN_STATUSES.includes(incident.status)
+      ) {
+        continue;
+      }
+
+      seenIncidentIds.add(incident.id);
+      if (seenDate > incident.last_seen_date) {
+        const { error: updateError } = await supabaseAdmin
+          .from("insight_incidents")
+          .update({ status: "ongoing", last_seen_date: seenDate })
+          .eq("id", incident.id);
+        if (updateError) {
+          console.error("⚠️  Could not update incident:", updateError.message);
+        }
+      }
+    }
+
+    // Open incidents missing from the latest day are over (unless their
+    // data wasn't analyzed, e.g. a failed page fetch); incidents recovered
+    // on the latest day are repeated so re-runs are idempotent
+    const recoveries = [];
+    for (const incident of incidents) {
+      const isOpen = OPEN_STATUSES.includes(incident.status);
+      const recoveredNow =
+        isOpen &&
+        !seenIncidentIds.has(incident.id) &&
+        incident.last_seen_date < latestDate &&
+        (!analyzedScopes ||
+          analyzedScopes.has(getScope(incident.incident_key)));
+      const recoveredToday =
+        incident.status === "recovered" &&
+        incident.recovered_date === latestDate;
+      if (!recoveredNow && !recoveredToday) continue;
+
+      if (recoveredNow) {
+        const { error: updateError } = await supabaseAdmin
+          .from("insight_incidents")
+          .update({ status: "recovered", recovered_date: latestDate })
+          .eq("id", incident.id);
+        if (updateError) {
+          console.error("⚠️  Could not close incident:", updateError.message);
+        }
+      }
+
+      // Landing-page and event incidents close quietly: their own values
+      // aren't in the site-wide data a recovery card is built from
+      if (getScope(incident.incident_key) !== "site") continue;
+
+      recoveries.push({
+        ...insightsService.buildRecoveryInsight(
+          {
+            metric: incident.metric_name,
+            pattern: incident.pattern,
+            direction: incident.direction,
+            startDate: incident.start_date,
+            lastSeenDate: incident.last_seen_date,
+            expectedValue: incident.expected_value,
+          },
+          latestDay,
+          currency
+        ),
+        incidentId: incident.id,
+      });
+    }
+
+    console.log(
+      `🔁 Incidents: ${activeInsights.length} active, ${recoveries.length} recovered`
+    );
+
+    return [...activeInsights, ...recoveries];
+  },
+
+  /**
+   * Start tracking a new anomaly
+   */
+  async openIncident(connection, insight, key) {
+    const { data: incident, error } = await supabaseAdmin
+      .from("insight_incidents")
+      .insert({
+        user_id: connection.user_id,
+        ga4_connection_id: connection.id,
+        incident_key: key,
+        metric_name: insight.metric,
+        pattern: insight.pattern || null,
+        direction: insight.direction,
+        status: "new",
+        start_date: insight.startDate || insight.date,
+        last_seen_date: insight.date,
+        expected_value: insight.expectedValue,
+        peak_percent_change: insight.percentChange,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("⚠️  Could not open incident:", error.message);
+    }
+
+    return { ...insight, status: "new", incidentId: incident?.id || null };
+  },
+
+  /**
+   * Record another day of an open anomaly and re-word its insight
+   */
+  async continueIncident(incident, insight) {
+    // Same day as the last run (e.g. a manual re-run): keep its status
+    const status =
+      insight.date > incident.last_seen_date ? "ongoing" : incident.status;
+    const peakPercentChange =
+      Math.abs(insight.percentChange) >
+      Math.abs(incident.peak_percent_change || 0)
+        ? insight.percentChange
+        : incident.peak_percent_change;
+
+    const { error } = await supabaseAdmin
+      .from("insight_incidents")
+      .update({
+        status,
+        last_seen_date: insight.date,
+        expected_value: insight.expectedValue,
+        peak_percent_change: peakPercentChange,
+      })
+      .eq("id", incident.id);
+
+    if (error) {
+      console.error("⚠️  Could not update incident:", error.message);
+    }
+
+    const tracked = {
+      ...insight,
+      status,
+      incidentId: incident.id,
+      startDate: incident.start_date,
+      daysActive:
+        insightsService.daysBetween(incident.start_date, insight.date) + 1,
+    };
+
+    return status === "ongoing"
+      ? insightsService.describeOngoing(tracked)
+      : tracked;
+  },
+};
@@ -1,206 +1,869 @@
 // Insights Service - Statistical anomaly detection with real rigor
 import { config } from "../config/index.js";
+import { statisticsService } from "./statistics.service.js";
+import { rankingService } from "./ranking.service.js";
+import { botTrafficService } from "./bot-traffic.service.js";
+import { impactService } from "./impact.service.js";
+import { detectorRegistry, DEFAULT_DETECTOR } from "./detectors/index.js";
+import {
+  DEFAULT_PLAYBOOK,
+  INDUSTRY_PLAYBOOKS,
+  PLAYBOOK_VARIABLES,
+  getInsightType,
+} from "../config/playbooks.js";
 
 // Statistical constants
 const Z_SCORE_THRESHOLD = 1.5; // 95% confidence (2 std deviations)
 const MIN_DATA_POINTS = 7; // Need at least 1 week for meaningful stats
-const TREND_WINDOW = 5; // Days to determine if sustained trend
-
-// Action items library
-const ACTION_LIBRARY = {
-  bounceRate_up: [
-    "Check mobile performance using Google PageSpeed Insights",
-    "Review traffic sources in GA4 to identify low-quality channels",
-    "A/B test landing page design and quiz flow",
-  ],
-  bounceRate_down: [
-    "Document what improved (traffic source, UX change, etc.)",
-    "Scale successful traffic channels",
-    "Apply learnings to other pages",
-  ],
-  sessions_up: [
-    "Ensure infrastructure can handle traffic spike",
-    "Capture leads while traffic is high (pop-ups, CTAs)",
-    "Analyze traffic sources to understand what drove growth",
-  ],
-  sessions_down: [
-    "Check if marketing campaigns paused or ads stopped",
-    "Review SEO rankings for keyword drops",
-    "Investigate technical issues (site down, crawl errors)",
-  ],
-  totalUsers_up: [
-    "Capture new user data (email signups, surveys)",
-    "Optimize onboarding flow for first-time visitors",
-    "Track where new users came from in GA4",
-  ],
-  totalUsers_down: [
-    "Review marketing spend and campaign performance",
-    "Check if competitor launched similar product",
-    "Audit site speed and technical issues",
-  ],
-  engagementRate_up: [
-    "Document successful content/features driving engagement",
-    "Double down on high-engagement pages",
-    "Test similar approaches on other pages",
-  ],
-  engagementRate_down: [
-    "Check for broken features or page errors",
-    "Review content quality and relevance",
-    "A/B test new CTAs and interactive elements",
-  ],
-  conversions_up: [
-    "Scale what's working (traffic source, offer, CTA)",
-    "Capture customer feedback to improve further",
-    "Test higher price points or upsells",
-  ],
-  conversions_down: [
-    "Check conversion funnel for drop-off points",
-    "Review form fields (too many? confusing?)",
-    "Test different offers or CTAs",
-  ],
+const RECENT_DAYS = 3; // Days each detector tests (the rest is history)
+const FALSE_DISCOVERY_RATE = 0.1; // Benjamini-Hochberg q across a run
+
+// Engine metric -> key in config.algorithm.thresholds
+const METRIC_THRESHOLD_KEYS = {
+  sessions: "sessions",
+  totalUsers: "users",
+  conversions: "conversions",
+  engagementRate: "engagementRate",
+  bounceRate: "bounceRate",
+  conversionRate: "conversionRate",
+  totalRevenue: "revenue",
+  transactions: "transactions",
+  averageOrderValue: "averageOrderValue",
+  revenuePerSession: "revenuePerSession",
+  eventCount: "events",
+};
+
+// How each metric is tested for significance
+// - counts: negative binomial (Poisson if the baseline isn't overdispersed)
+// - rates: two-proportion test weighted by the session denominator
+// - anything else: normal test against the baseline spread
+const COUNT_METRICS = [
+  "sessions",
+  "totalUsers",
+  "conversions",
+  "transactions",
+  "eventCount",
+];
+// Rates that are shares of their denominator (conversionRate isn't one: a
+// session can convert more than once, so it's tested like other ratios)
+const RATE_DENOMINATORS = {
+  engagementRate: "sessions",
+  bounceRate: "sessions",
+};
+
+// Metrics computed from the fetched GA4 metrics
+const DERIVED_METRICS = {
+  conversionRate: { numerator: "conversions", denominator: "sessions" },
+  averageOrderValue: { numerator: "totalRevenue", denominator: "transactions" },
+  revenuePerSession: { numerator: "totalRevenue", denominator: "sessions" },
+};
+
+// Metrics shown in the property's currency
+const CURRENCY_METRICS = [
+  "totalRevenue",
+  "averageOrderValue",
+  "revenuePerSession",
+];
+const DEFAULT_CURRENCY = "USD";
+
+// Change-point detection (sustained level shifts)
+const CHANGE_POINT_MIN_BEFORE = 7; // Days at the old level
+const CHANGE_POINT_MIN_AFTER = 2; // Days at the new level
+const CHANGE_POINT_P_VALUE = 0.05; // Corrected for searching every day
+
+// Baseline modes (selectable per property via analysis_settings.baselineMode)
+// - mean: weekday averages + one standard deviation over the whole series
+// - robust: weekday medians + MAD, with outliers excluded from the baseline
+export const BASELINE_MODES = ["mean", "robust"];
+const DEFAULT_BASELINE_MODE = "mean";
+const MAD_TO_STD = 1.4826; // Scales MAD to a std deviation for normal data
+const ROBUST_OUTLIER_CUTOFF = 3.5; // Robust z beyond this is left out
+const MIN_WEEKDAY_POINTS = 4; // Fewer points per weekday -> pooled MAD
+
+// Metrics the engine tests (each with the property's detectors, see
+// detectors/index.js)
+export const ANALYZED_METRICS = [
+  "sessions",
+  "totalUsers",
+  "conversions",
+  "engagementRate",
+  "bounceRate",
+  "conversionRate",
+  "totalRevenue",
+  "transactions",
+  "averageOrderValue",
+  "revenuePerSession",
+];
+
+// Annotated days (campaigns, sales, holidays) are left out of baselines;
+// an anomaly is suppressed when an annotation predicted it (same direction,
+// at most this many times the expected impact) and labelled otherwise
+const ANNOTATION_TOLERANCE = 1.5;
+
+// Dimensions re-queried to explain where an anomaly came from
+const DRILL_DOWN_DIMENSIONS = {
+  sessionDefaultChannelGroup: "channel",
+  deviceCategory: "device",
+  country: "country",
+  landingPage: "landing page",
+};
+const MAX_CONTRIBUTING_SEGMENTS = 5;
+const MIN_SEGMENT_SHARE = 0.1; // Ignore segments behind <10% of the change
+
+// Landing-page monitoring: the property's top pages are tested on their own
+// series, in the same multiple-testing family as the site-wide metrics
+const PAGE_METRICS = ["sessions", "conversions"];
+export const DEFAULT_MONITORED_PAGES = 10;
+export const MAX_MONITORED_PAGES = 25;
+
+// Per-event monitoring: each watched GA4 event's daily count is tested in
+// both directions (a tag that stops firing, or starts firing twice)
+export const MAX_WATCHED_EVENTS = 20;
+
+// Cross-metric patterns, reported as one combined insight instead of
+// separate cards for each metric involved (action items: config/playbooks.js)
+const COMPOUND_PATTERNS = {
+  lowQualityTraffic: { label: "Low-quality traffic surge" },
+  trackingLoss: { label: "Possible tracking loss" },
+  funnelLeak: { label: "Funnel leak" },
 };
+const TRAFFIC_METRICS = ["sessions", "totalUsers"];
+const OUTCOME_METRICS = ["totalRevenue", "transactions", "conversions"];
+const FLAT_CHANGE_RATIO = 0.5; // "Flat" = moved < half as much as traffic
+
+// Shown once an earlier anomaly is back to normal
+const RECOVERY_ACTION_ITEMS = [
+  "Note what changed (fix, campaign, release) so you can react faster next time",
+  "Check that the recovery holds over the next few days",
+];
 
 export const insightsService = {
   /**
    * MAIN ANALYSIS ENGINE
    * Uses statistical rigor to detect meaningful anomalies
+   * @returns {Array} Top insights by rank. The array also carries
+   *   significantKeys: incident key -> latest date for every significant
+   *   anomaly before ranking, so incident tracking doesn't read "ranked
+   *   out of the email" as "recovered"; and analyzedScopes: the incident
+   *   scopes ("site", "page", "event") whose data this run actually tested,
+   *   so a short series or a failed fetch doesn't read as "recovered" either
+   * options.logger ({ log }) replaces console for progress output, e.g. a
+   * no-op one for replays; failures are still reported on console
    */
   async analyzeMetrics(dailyData, options = {}) {
+    const logger = options.logger || console;
     if (!dailyData || dailyData.length < MIN_DATA_POINTS) {
-      console.log(`⚠️  Need at least ${MIN_DATA_POINTS} days of data`);
-      return [];
+      logger.log(`⚠️  Need at least ${MIN_DATA_POINTS} days of data`);
+      return Object.assign([], {
+        significantKeys: new Map(),
+        analyzedScopes: new Set(),
+      });
     }
 
-    const insights = [];
+    const tests = [];
 
-    // Sort data chronologically
-    const sortedData = [...dailyData].sort(
-      (a, b) => new Date(a.date) - new Date(b.date)
-    );
+    // Configured thresholds, merged with this property's overrides
+    const analysisOptions = {
+      ...options,
+      currency: options.currency || DEFAULT_CURRENCY,
+      algorithm: this.getAlgorithmSettings(options),
+    };
+
+    // Bot and referral-spam bursts (need GA4 access)
+    const botBursts = options.fetchBreakdown
+      ? await botTrafficService.detectBursts(
+          dailyData,
+          options.fetchBreakdown,
+          options
+        )
+      : new Map();
+
+    // Sort data chronologically (and add derived metrics like conversionRate)
+    const sortedData = [...dailyData]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map((day) =>
+        this.attachBotTraffic(
+          this.attachAnnotations(
+            this.addDerivedMetrics(day),
+            options.annotations || []
+          ),
+          botBursts,
+          options.excludeBotTraffic
+        )
+      );
 
     // Metrics to analyze
-    const metricsToAnalyze = [
-      "sessions",
-      "totalUsers",
-      "conversions",
-      "engagementRate",
-      "bounceRate",
-    ];
+    const metricsToAnalyze = ANALYZED_METRICS.filter((metricName) =>
+      // Skip metrics the property doesn't collect (e.g. revenue on lead-gen)
+      sortedData.some((d) => (d[metricName] || 0) !== 0)
+    );
 
-    console.log(
+    logger.log(
       `📊 Analyzing ${sortedData.length} days across ${metricsToAnalyze.length} metrics`
     );
 
     // For each metric, run full statistical analysis
     for (const metricName of metricsToAnalyze) {
-      const metricInsights = this.analyzeMetric(sortedData, metricName);
-      insights.push(...metricInsights);
+      const metricTests = this.analyzeMetric(
+        sortedData,
+        metricName,
+        analysisOptions
+      );
+      tests.push(...metricTests);
+    }
+
+    // Top landing pages and watched events (need GA4 access)
+    const analyzedScopes = new Set(["site"]);
+    if (options.fetchPages) {
+      const pageTests = await this.analyzePages(
+        sortedData,
+        options.fetchPages,
+        analysisOptions
+      );
+      if (!pageTests.failed) analyzedScopes.add("page");
+      tests.push(...pageTests);
     }
+    if (options.fetchEvents) {
+      const eventTests = await this.analyzeEvents(
+        sortedData,
+        options.fetchEvents,
+        analysisOptions
+      );
+      if (!eventTests.failed) analyzedScopes.add("event");
+      tests.push(...eventTests);
+    }
+
+    // Multiple-testing correction: every metric/day test in this run is one
+    // family, so more metrics or segments can't inflate false alarms
+    const falseDiscoveryRate =
+      options.falseDiscoveryRate > 0 && options.falseDiscoveryRate < 1
+        ? options.falseDiscoveryRate
+        : FALSE_DISCOVERY_RATE;
+    const adjustedPValues = statisticsService.benjaminiHochberg(
+      tests.map((t) => t.pValue)
+    );
 
-    // Sort by statistical significance (Z-score) then impact
-    insights.sort((a, b) => {
-      if (Math.abs(b.zScore) !== Math.abs(a.zScore)) {
-        return Math.abs(b.zScore) - Math.abs(a.zScore);
+    const insights = [];
+    let explainedCount = 0;
+    tests.forEach((test, index) => {
+      if (!test.insight) return;
+
+      // Predicted by an annotation (e.g. a planned sale) - not news
+      if (this.isExplainedByAnnotation(test.insight)) {
+        explainedCount++;
+        return;
       }
-      return b.impactScore - a.impactScore;
+
+      const insight = test.insight;
+      insight.adjustedPValue = adjustedPValues[index];
+      insight.testsInBatch = tests.length;
+      insight.confidence = this.pValueToConfidence(insight.adjustedPValue);
+      insight.headline = this.generateHeadline(
+        insight.metric,
+        insight.percentChange,
+        insight.trendType,
+        insight.confidence,
+        insight.changePoint
+      );
+      if (this.isScoped(insight)) this.withScopeContext(insight);
+      insights.push(insight);
     });
 
-    // Only return top insights (statistically significant)
-    const significantInsights = insights.filter(
-      (i) => Math.abs(i.zScore) >= Z_SCORE_THRESHOLD
+    if (explainedCount > 0) {
+      logger.log(`🗓️  ${explainedCount} anomalies explained by annotations`);
+    }
+
+    // Only keep insights that are significant after FDR correction, then
+    // report each anomaly once rather than once per recent day it shows on
+    // (page and event insights stay separate: they can't make a site-wide
+    // pattern). Each day is priced first, so an anomaly's estimate covers
+    // every day it showed up on.
+    const significant = insights.filter(
+      (i) => i.adjustedPValue <= falseDiscoveryRate
+    );
+    const significantInsights = this.collapseRecentDays(
+      impactService.attach(
+        [
+          ...this.combineRelatedInsights(
+            significant.filter((i) => !this.isScoped(i)),
+            tests.filter((t) => !this.isScoped(t)),
+            logger
+          ),
+          ...significant.filter((i) => this.isScoped(i)),
+        ],
+        sortedData,
+        impactService.getRates(this.getBaselineDays(sortedData))
+      )
     );
 
-    console.log(
+    logger.log(
       `✅ Found ${significantInsights.length} statistically significant insights`
     );
 
-    return significantInsights.slice(0, 5); // Top 5 only
+    // A bot burst isn't growth: say so before it's ranked or tracked
+    if (botBursts.size > 0) {
+      this.labelBotTraffic(significantInsights, sortedData, tests);
+    }
+
+    const significantKeys = new Map(
+      significantInsights.map((i) => [this.getIncidentKey(i), i.date])
+    );
+
+    // Rank every detector's candidates by estimated business impact and
+    // keep the top ones
+    const topInsights = rankingService.rank(significantInsights, options);
+    topInsights.significantKeys = significantKeys;
+    topInsights.analyzedScopes = analyzedScopes;
+
+    // Drill into the dimensions behind each anomaly (needs GA4 access)
+    if (options.fetchBreakdown) {
+      // (site-wide breakdowns don't explain a single page or event)
+      await this.attachDrillDowns(
+        topInsights.filter((insight) => !this.isScoped(insight)),
+        sortedData,
+        options.fetchBreakdown
+      );
+    }
+
+    // Action items from the account's playbook, filled with the drill-down,
+    // and what the anomaly is worth
+    topInsights.forEach((insight) => {
+      insight.actionItems = this.getActionItems(insight, options.playbook);
+      const impactText = this.describeBusinessImpact(insight.businessImpact);
+      if (impactText) {
+        insight.explanation = `${insight.explanation} ${impactText}`;
+      }
+    });
+
+    return topInsights;
   },
 
   /**
-   * STEP 1: Analyze a single metric with full statistical rigor
+   * STEP 1: Analyze a single metric with the property's detectors
+   * @returns {Array} One result per tested day: { metric, date,
+   *   currentValue, expectedValue, percentChange, zScore, pValue, insight }
+   *   - insight is null unless the day passed a detector's screen and
+   *   the business rules
    */
-  analyzeMetric(sortedData, metricName) {
-    const insights = [];
+  analyzeMetric(sortedData, metricName, options = {}) {
+    const context = {
+      metricName,
+      options,
+      engine: this,
+      recentDays: RECENT_DAYS,
+    };
 
-    // Extract metric values
-    const values = sortedData.map((d) => d[metricName] || 0);
+    const runs = [];
+    for (const detector of this.getMetricDetectors(metricName, options)) {
+      let results = detector.detect(sortedData, context);
+      let name = detector.name;
 
-    // Calculate seasonal baseline (accounts for day-of-week patterns)
-    const seasonalBaseline = this.calculateSeasonalBaseline(
-      sortedData,
-      metricName
+      // null = the detector can't run on this series (e.g. not enough
+      // history to fit a forecast), use the default detector instead
+      if (!results) {
+        if (runs.some((run) => run.name === DEFAULT_DETECTOR)) continue;
+        name = DEFAULT_DETECTOR;
+        results = detectorRegistry
+          .get(DEFAULT_DETECTOR)
+          .detect(sortedData, context);
+      }
+
+      results.forEach((result) => {
+        if (result.insight) result.insight.detector = name;
+      });
+      runs.push({ name, results });
+    }
+
+    return this.mergeDetectorResults(runs);
+  },
+
+  /**
+   * Detectors to run for a metric: analysis_settings.metricDetectors[metric],
+   * else analysis_settings.detector, else the default (a name or a list)
+   */
+  getMetricDetectors(metricName, options = {}) {
+    const configured =
+      options.metricDetectors?.[metricName] ??
+      options.detector ??
+      DEFAULT_DETECTOR;
+    const names = [
+      ...new Set(Array.isArray(configured) ? configured : [configured]),
+    ];
+
+    const detectors = names
+      .map((name) => detectorRegistry.get(name))
+      .filter(Boolean);
+    if (detectors.length < names.length) {
+      (options.logger || console).log(
+        `⚠️  Unknown detector in ${names.join(", ")} - skipped`
+      );
+    }
+
+    return detectors.length > 0
+      ? detectors
+      : [detectorRegistry.get(DEFAULT_DETECTOR)];
+  },
+
+  /**
+   * One test per metric/day when several detectors ran: the strongest
+   * flagged result (or the lowest p-value if none flagged the day), with a
+   * Bonferroni correction for trying more than one detector
+   * Insights list every detector that flagged their day in `detectors`
+   */
+  mergeDetectorResults(runs) {
+    if (runs.length === 1) {
+      return runs[0].results.map((result) => {
+        if (result.insight) result.insight.detectors = [runs[0].name];
+        return result;
+      });
+    }
+
+    const byDate = new Map();
+    for (const { results } of runs) {
+      for (const result of results) {
+        byDate.set(result.date, [...(byDate.get(result.date) || []), result]);
+      }
+    }
+
+    return [...byDate.values()].map((results) => {
+      const flagged = results.filter((r) => r.insight);
+      const best = (flagged.length > 0 ? flagged : results).reduce((a, b) =>
+        b.pValue < a.pValue ? b : a
+      );
+      const pValue = Math.min(1, best.pValue * runs.length);
+
+      if (!best.insight) return { ...best, pValue };
+
+      return {
+        ...best,
+        pValue,
+        insight: {
+          ...best.insight,
+          pValue,
+          detectors: flagged
+            .filter((r) => r.insight.direction === best.insight.direction)
+            .map((r) => r.insight.detector),
+        },
+      };
+    });
+  },
+
+  /**
+   * Tests for the property's top landing pages
+   * fetchPages() resolves to [{ path, url, daily: [{ date, sessions,
+   * conversions }] }]; only drops are reported - a page gaining traffic is
+   * rarely something to fix
+   * @returns {Array} Test results (as analyzeMetric), each with page;
+   *   empty with failed: true when the pages couldn't be fetched
+   */
+  async analyzePages(sortedData, fetchPages, options) {
+    let pages;
+    try {
+      pages = await fetchPages();
+    } catch (error) {
+      console.error("⚠️  Landing page fetch failed:", error.message);
+      return Object.assign([], { failed: true });
+    }
+
+    const tests = [];
+    for (const { path, url, daily } of pages || []) {
+      const pageData = this.alignSeries(sortedData, daily, PAGE_METRICS);
+
+      for (const metricName of PAGE_METRICS) {
+        if (!pageData.some((d) => d[metricName] > 0)) continue;
+
+        for (const test of this.analyzeMetric(pageData, metricName, options)) {
+          test.page = { path, url };
+          if (test.insight?.direction === "down") {
+            test.insight.page = test.page;
+          } else {
+            test.insight = null;
+          }
+          tests.push(test);
+        }
+      }
+    }
+
+    (options.logger || console).log(
+      `📄 Tested ${pages?.length || 0} landing pages`
     );
+    return tests;
+  },
 
-    // Calculate standard deviation (measures normal variance)
-    const stdDev = this.calculateStandardDeviation(values);
+  /**
+   * Tests for the property's watched events
+   * fetchEvents() resolves to [{ name, keyEvent, daily: [{ date,
+   * eventCount }] }]
+   * @returns {Array} Test results (as analyzeMetric), each with event;
+   *   empty with failed: true when the events couldn't be fetched
+   */
+  async analyzeEvents(sortedData, fetchEvents, options) {
+    let events;
+    try {
+      events = await fetchEvents();
+    } catch (error) {
+      console.error("⚠️  Event fetch failed:", error.message);
+      return Object.assign([], { failed: true });
+    }
 
-    // Analyze last 3 days for anomalies
-    const recentDays = sortedData.slice(-3);
+    const tests = [];
+    for (const { name, keyEvent, daily } of events || []) {
+      // Site sessions come along for the low-traffic floor
+      const eventData = this.alignSeries(sortedData, daily, ["eventCount"]).map(
+        (day, index) => ({ ...day, sessions: sortedData[index].sessions })
+      );
+      if (!eventData.some((d) => d.eventCount > 0)) continue;
 
-    for (const day of recentDays) {
-      const dayOfWeek = new Date(day.date).getDay();
-      const currentValue = day[metricName] || 0;
-      const expectedValue = seasonalBaseline[dayOfWeek];
-
-      // Calculate Z-score (how many standard deviations from normal)
-      const zScore = (currentValue - expectedValue) / stdDev;
-
-      // Only flag if statistically significant (>2 std deviations = 95% confidence)
-      if (Math.abs(zScore) >= Z_SCORE_THRESHOLD) {
-        // Determine if spike or sustained trend
-        const trendType = this.classifyTrend(sortedData, metricName, day.date);
-
-        // Calculate percent change
-        const percentChange = (currentValue - expectedValue) / expectedValue;
-
-        insights.push({
-          date: day.date,
-          metric: metricName,
-          currentValue: currentValue,
-          expectedValue: expectedValue,
-          percentChange: percentChange,
-          zScore: zScore,
-          confidence: this.zScoreToConfidence(zScore),
-          trendType: trendType,
-          direction: percentChange > 0 ? "up" : "down",
-          impactScore: Math.abs(percentChange) * 100,
-          headline: this.generateHeadline(
-            metricName,
-            percentChange,
-            trendType,
-            zScore
-          ),
-          explanation: this.generateExplanation(
-            metricName,
-            currentValue,
-            expectedValue,
-            percentChange,
-            trendType,
-            day.date
-          ),
-          actionItems: this.getActionItems(
-            metricName,
-            percentChange > 0 ? "up" : "down"
-          ),
-        });
+      for (const test of this.analyzeMetric(eventData, "eventCount", options)) {
+        test.event = { name, keyEvent: Boolean(keyEvent) };
+        if (test.insight) test.insight.event = test.event;
+        tests.push(test);
       }
     }
 
+    (options.logger || console).log(
+      `🏷️  Tested ${events?.length || 0} watched events`
+    );
+    return tests;
+  },
+
+  /**
+   * A page's or event's daily rows on the site's dates (a day missing
+   * from GA4 had no activity, it isn't unknown)
+   */
+  alignSeries(sortedData, daily, metrics) {
+    const byDate = new Map(daily.map((d) => [d.date, d]));
+    return sortedData.map((day) => ({
+      date: day.date,
+      annotations: day.annotations,
+      ...Object.fromEntries(
+        metrics.map((metric) => [metric, byDate.get(day.date)?.[metric] || 0])
+      ),
+    }));
+  },
+
+  /**
+   * Is this about one landing page or event rather than the whole site?
+   */
+  isScoped(item) {
+    return Boolean(item.page || item.event);
+  },
+
+  /**
+   * Add derived metrics (e.g. conversionRate = conversions / sessions)
+   */
+  addDerivedMetrics(day) {
+    const derived = { ...day };
+    for (const [metricName, { numerator, denominator }] of Object.entries(
+      DERIVED_METRICS
+    )) {
+      if (derived[metricName] !== undefined) continue;
+      const denominatorValue = day[denominator] || 0;
+      derived[metricName] =
+        denominatorValue > 0 ? (day[numerator] || 0) / denominatorValue : 0;
+    }
+    return derived;
+  },
+
+  /**
+   * Attach the annotations covering a day (campaigns, sales, holidays)
+   * @param {Array} annotations - [{ startDate, endDate, label,
+   *   expectedImpact, source }]
+   */
+  attachAnnotations(day, annotations) {
+    const matching = annotations.filter(
+      (a) => a.startDate <= day.date && day.date <= (a.endDate || a.startDate)
+    );
+    return matching.length > 0 ? { ...day, annotations: matching } : day;
+  },
+
+  /**
+   * Attach a day's bot burst (see botTrafficService)
+   * @param {Map} botBursts - date -> burst
+   * @param {boolean} excluded - leave the day out of baselines
+   */
+  attachBotTraffic(day, botBursts, excluded = false) {
+    const burst = botBursts.get(day.date);
+    return burst
+      ? { ...day, botTraffic: { ...burst, excluded: Boolean(excluded) } }
+      : day;
+  },
+
+  /**
+   * Days a baseline may learn from: annotated days are left out so a sale
+   * or holiday doesn't become "normal", and so are bot bursts when the
+   * property excludes them (unless too little data is left)
+   */
+  getBaselineDays(sortedData) {
+    const unannotated = sortedData.filter(
+      (d) => !d.annotations && !d.botTraffic?.excluded
+    );
+    return unannotated.length >= MIN_DATA_POINTS ? unannotated : sortedData;
+  },
+
+  /**
+   * Label the site-wide anomalies a bot burst drove, e.g. "Likely bot
+   * traffic: Sessions jumped 82.0% (99.9% confidence)"
+   * @param {Array} tests - The run's tests (for each day's sessions test)
+   */
+  labelBotTraffic(insights, sortedData, tests) {
+    for (const insight of insights) {
+      if (this.isScoped(insight)) continue;
+
+      const burst = sortedData.find((d) => d.date === insight.date)?.botTraffic;
+      const sessionsTest = tests.find(
+        (t) =>
+          t.metric === "sessions" &&
+          t.date === insight.date &&
+          !this.isScoped(t)
+      );
+      if (
+        !burst ||
+        !botTrafficService.isBotDriven(insight, burst, sessionsTest)
+      ) {
+        continue;
+      }
+
+      insight.botTraffic = burst;
+      insight.businessImpact = null; // Bots don't convert or buy
+      insight.headline = `Likely bot traffic: ${insight.headline}`;
+      insight.explanation = this.generateExplanation(insight);
+    }
+
     return insights;
   },
 
+  /**
+   * Did an annotation predict this anomaly (same direction, similar size)?
+   */
+  isExplainedByAnnotation(insight) {
+    return (insight.annotations || []).some(
+      (a) =>
+        typeof a.expectedImpact === "number" &&
+        a.expectedImpact !== 0 &&
+        Math.sign(a.expectedImpact) === Math.sign(insight.percentChange) &&
+        Math.abs(insight.percentChange) <=
+          Math.abs(a.expectedImpact) * ANNOTATION_TOLERANCE
+    );
+  },
+
+  /**
+   * Test a day's value against its baseline
+   * - rates: two-proportion test on the day's sessions vs the baseline's
+   *   sessions, with day-to-day variance beyond binomial noise added
+   *   (beta-binomial style), so 12-session days can't look "certain"
+   * - counts: negative binomial using the baseline spread as the variance
+   * - other ratios (conversionRate, averageOrderValue...): normal test
+   * @returns {object} { zScore, pValue, test }
+   */
+  testSignificance(sortedData, metricName, day, expectedValue, scale) {
+    const observed = day[metricName] || 0;
+    const denominator = RATE_DENOMINATORS[metricName];
+
+    if (denominator) {
+      const dayOfWeek = new Date(day.date).getDay();
+      const otherDays = this.getBaselineDays(sortedData).filter(
+        (d) => d.date !== day.date && (d[denominator] || 0) > 0
+      );
+      const sameWeekday = otherDays.filter(
+        (d) => new Date(d.date).getDay() === dayOfWeek
+      );
+      const baselineDays = sameWeekday.length > 0 ? sameWeekday : otherDays;
+      if (baselineDays.length === 0) {
+        return { zScore: 0, pValue: 1, test: "two-proportion" };
+      }
+
+      const baselineTrials = baselineDays.reduce(
+        (acc, d) => acc + d[denominator],
+        0
+      );
+      const expectedRate = Math.min(1, Math.max(0, expectedValue));
+      const binomialVariance =
+        baselineDays.reduce(
+          (acc, d) =>
+            acc + (expectedRate * (1 - expectedRate)) / d[denominator],
+          0
+        ) / baselineDays.length;
+
+      return statisticsService.proportionTest(
+        { rate: observed, trials: day[denominator] || 0 },
+        { rate: expectedValue, trials: baselineTrials },
+        scale * scale - binomialVariance
+      );
+    }
+
+    if (COUNT_METRICS.includes(metricName)) {
+      return statisticsService.countTest(
+        observed,
+        expectedValue,
+        scale * scale
+      );
+    }
+
+    return statisticsService.normalTest(observed, expectedValue, scale);
+  },
+
+  /**
+   * Merge config.algorithm with a property's overrides
+   * (analysis_settings.thresholds / persistence / minSampleSize /
+   * zScoreThreshold)
+   */
+  getAlgorithmSettings(options = {}) {
+    const defaults = config.algorithm;
+
+    return {
+      thresholds: { ...defaults.thresholds, ...(options.thresholds || {}) },
+      persistence: { ...defaults.persistence, ...(options.persistence || {}) },
+      minSampleSize: Number.isFinite(options.minSampleSize)
+        ? options.minSampleSize
+        : defaults.minSampleSize,
+      zScoreThreshold:
+        options.zScoreThreshold > 0
+          ? options.zScoreThreshold
+          : Z_SCORE_THRESHOLD,
+    };
+  },
+
+  /**
+   * Minimum percent change for a metric (accepts engine or config names)
+   */
+  getMetricThreshold(metricName, thresholds) {
+    const value =
+      thresholds[metricName] ?? thresholds[METRIC_THRESHOLD_KEYS[metricName]];
+    return Number.isFinite(value) ? value : 0;
+  },
+
+  /**
+   * Business rules on top of significance:
+   * - the change must clear the metric's minimum percent change
+   * - low-traffic days are too noisy to judge, so days under the session
+   *   floor are suppressed unless the weekday normally clears it (a drop
+   *   *to* the floor from a healthy baseline is still reported)
+   */
+  isReportable(sortedData, metricName, day, expectedValue, options = {}) {
+    const algorithm = options.algorithm || this.getAlgorithmSettings(options);
+    const currentValue = day[metricName] || 0;
+
+    const percentChange =
+      expectedValue !== 0
+        ? Math.abs((currentValue - expectedValue) / expectedValue)
+        : Infinity;
+    if (
+      percentChange < this.getMetricThreshold(metricName, algorithm.thresholds)
+    ) {
+      return false;
+    }
+
+    if ((day.sessions || 0) < algorithm.minSampleSize) {
+      const dayOfWeek = new Date(day.date).getDay();
+      const expectedSessions =
+        metricName === "sessions"
+          ? expectedValue
+          : this.calculateSeasonalBaseline(sortedData, "sessions")[dayOfWeek];
+      if (expectedSessions < algorithm.minSampleSize) return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Assemble the insight object shared by every detector
+   */
+  buildInsight(
+    sortedData,
+    metricName,
+    day,
+    expectedValue,
+    zScore,
+    options = {},
+    extra = {}
+  ) {
+    const currentValue = day[metricName] || 0;
+
+    // Calculate percent change
+    const percentChange = this.calculatePercentChange(
+      currentValue,
+      expectedValue
+    );
+    const direction = percentChange > 0 ? "up" : "down";
+
+    // Determine if spike or sustained trend (level shift)
+    const { trendType, changePoint } = this.classifyTrend(
+      sortedData,
+      metricName,
+      day.date,
+      direction,
+      options
+    );
+
+    const insight = {
+      date: day.date,
+      metric: metricName,
+      currentValue: currentValue,
+      expectedValue: expectedValue,
+      percentChange: percentChange,
+      zScore: zScore,
+      confidence: this.zScoreToConfidence(zScore),
+      trendType: trendType,
+      changePoint: changePoint,
+      direction: direction,
+      impactScore: Math.abs(percentChange) * 100,
+      currency: options.currency || DEFAULT_CURRENCY,
+      annotations: day.annotations || [],
+      ...extra,
+    };
+
+    insight.headline = this.generateHeadline(
+      metricName,
+      percentChange,
+      trendType,
+      insight.confidence,
+      changePoint
+    );
+    insight.explanation = this.generateExplanation(insight);
+    insight.actionItems = this.getActionItems(insight, options.playbook);
+
+    return insight;
+  },
+
+  /**
+   * Pick the baseline for the property's mode
+   * @returns {object} { expected, scale } keyed by day of week (0-6)
+   */
+  calculateBaseline(sortedData, metricName, baselineMode) {
+    const mode = BASELINE_MODES.includes(baselineMode)
+      ? baselineMode
+      : DEFAULT_BASELINE_MODE;
+    const baselineDays = this.getBaselineDays(sortedData);
+
+    if (mode === "robust") {
+      return this.calculateRobustBaseline(baselineDays, metricName);
+    }
+
+    // Mean mode: weekday averages, one std deviation for every weekday
+    const expected = this.calculateSeasonalBaseline(baselineDays, metricName);
+    const stdDev = this.calculateStandardDeviation(
+      baselineDays.map((d) => d[metricName] || 0)
+    );
+
+    const scale = {};
+    for (let i = 0; i < 7; i++) scale[i] = stdDev;
+
+    return { expected, scale };
+  },
+
   /**
    * STEP 2: Calculate seasonal baseline (accounts for day-of-week patterns)
    * Example: Mondays are always 20% higher than Wednesdays
    */
   calculateSeasonalBaseline(sortedData, metricName) {
+    const baselineDays = this.getBaselineDays(sortedData);
     const byDayOfWeek = Array(7)
       .fill()
       .map(() => []);
 
     // Group data by day of week
-    for (const day of sortedData) {
+    for (const day of baselineDays) {
       const dayOfWeek = new Date(day.date).getDay();
       byDayOfWeek[dayOfWeek].push(day[metricName] || 0);
     }
@@ -213,7 +876,7 @@ export const insightsService = {
         baseline[i] = sum / byDayOfWeek[i].length;
       } else {
         // Fallback to overall average
-        const allValues = sortedData.map((d) => d[metricName] || 0);
+        const allValues = baselineDays.map((d) => d[metricName] || 0);
         const overallSum = allValues.reduce((acc, val) => acc + val, 0);
         baseline[i] = overallSum / allValues.length;
       }
@@ -222,6 +885,97 @@ export const insightsService = {
     return baseline;
   },
 
+  /**
+   * STEP 2b: Robust seasonal baseline (weekday median + MAD)
+   * A single spike can't drag the baseline or inflate the variance:
+   * days beyond ROBUST_OUTLIER_CUTOFF are dropped before the final fit
+   */
+  calculateRobustBaseline(sortedData, metricName) {
+    const points = sortedData.map((d) => ({
+      dayOfWeek: new Date(d.date).getDay(),
+      value: d[metricName] || 0,
+    }));
+
+    const fit = (fitPoints) => {
+      const byDayOfWeek = Array(7)
+        .fill()
+        .map(() => []);
+      for (const p of fitPoints) byDayOfWeek[p.dayOfWeek].push(p.value);
+
+      const overallMedian = this.calculateMedian(fitPoints.map((p) => p.value));
+
+      const expected = {};
+      for (let i = 0; i < 7; i++) {
+        expected[i] =
+          byDayOfWeek[i].length > 0
+            ? this.calculateMedian(byDayOfWeek[i])
+            : overallMedian;
+      }
+
+      // Pooled scale from residuals around each weekday's median
+      const residuals = fitPoints.map((p) => p.value - expected[p.dayOfWeek]);
+      let pooledScale = MAD_TO_STD * this.calculateMAD(residuals);
+      if (pooledScale === 0) {
+        // MAD collapses when most days are identical (e.g. zero conversions)
+        pooledScale = this.calculateStandardDeviation(residuals);
+      }
+
+      const scale = {};
+      for (let i = 0; i < 7; i++) {
+        const weekdayScale =
+          byDayOfWeek[i].length >= MIN_WEEKDAY_POINTS
+            ? MAD_TO_STD * this.calculateMAD(byDayOfWeek[i])
+            : 0;
+        scale[i] = weekdayScale > 0 ? weekdayScale : pooledScale;
+      }
+
+      return { expected, scale };
+    };
+
+    // First pass finds outliers, second pass fits without them
+    const initial = fit(points);
+    const inliers = points.filter((p) => {
+      const s = initial.scale[p.dayOfWeek];
+      return (
+        s === 0 ||
+        Math.abs(p.value - initial.expected[p.dayOfWeek]) / s <=
+          ROBUST_OUTLIER_CUTOFF
+      );
+    });
+
+    return inliers.length > 0 ? fit(inliers) : initial;
+  },
+
+  /**
+   * Median of a list of numbers
+   */
+  calculateMedian(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[mid - 1] + sorted[mid]) / 2
+      : sorted[mid];
+  },
+
+  /**
+   * Median absolute deviation (robust spread)
+   */
+  calculateMAD(values) {
+    const median = this.calculateMedian(values);
+    return this.calculateMedian(values.map((val) => Math.abs(val - median)));
+  },
+
+  /**
+   * Relative change vs the expected value (±Infinity from a zero baseline)
+   */
+  calculatePercentChange(currentValue, expectedValue) {
+    if (expectedValue === 0) {
+      return currentValue === 0 ? 0 : Math.sign(currentValue) * Infinity;
+    }
+    return (currentValue - expectedValue) / expectedValue;
+  },
+
   /**
    * STEP 3: Calculate standard deviation (measures normal variance)
    */
@@ -235,59 +989,692 @@ export const insightsService = {
 
   /**
    * STEP 4: Classify if spike or sustained trend
+   * A trend needs a significant level shift in the same direction AND the
+   * persistence rule (e.g. anomalous on 3 of the last 5 days)
+   * @returns {object} { trendType, changePoint } - changePoint is null
+   *   for spikes
    */
-  classifyTrend(sortedData, metricName, targetDate) {
+  classifyTrend(sortedData, metricName, targetDate, direction, options = {}) {
     const targetIndex = sortedData.findIndex((d) => d.date === targetDate);
-    if (targetIndex < TREND_WINDOW) return "spike";
+    const changePoint = this.detectChangePoint(
+      sortedData,
+      metricName,
+      targetIndex
+    );
 
-    // Look at last N days
-    const recentWindow = sortedData.slice(
-      targetIndex - TREND_WINDOW + 1,
-      targetIndex + 1
+    if (
+      changePoint &&
+      changePoint.direction === direction &&
+      this.meetsPersistence(sortedData, metricName, targetIndex, options)
+    ) {
+      return { trendType: "trend", changePoint };
+    }
+
+    return { trendType: "spike", changePoint: null };
+  },
+
+  /**
+   * STEP 4b: Change-point detection (CUSUM) on the weekday-adjusted series
+   * Finds the day the metric's level most likely shifted, up to endIndex
+   * @returns {object|null} { date, levelBefore, levelAfter, percentChange,
+   *   direction, daysSince, zScore, pValue }, or null if no significant shift
+   */
+  detectChangePoint(sortedData, metricName, endIndex = sortedData.length - 1) {
+    const series = sortedData.slice(0, endIndex + 1);
+    const n = series.length;
+    if (n < CHANGE_POINT_MIN_BEFORE + CHANGE_POINT_MIN_AFTER) return null;
+
+    const mean = (arr) => arr.reduce((acc, val) => acc + val, 0) / arr.length;
+    const values = series.map((d) => d[metricName] || 0);
+    const dayOfWeek = series.map((d) => new Date(d.date).getDay());
+
+    // Remove the weekly pattern so weekends don't look like level shifts
+    const overallMean = mean(values);
+    const weekdayOffset = {};
+    for (let dow = 0; dow < 7; dow++) {
+      const weekdayValues = values.filter((_, i) => dayOfWeek[i] === dow);
+      weekdayOffset[dow] =
+        weekdayValues.length > 0 ? mean(weekdayValues) - overallMean : 0;
+    }
+    const adjusted = values.map((val, i) => val - weekdayOffset[dayOfWeek[i]]);
+
+    // The CUSUM of deviations from the mean peaks just before the shift
+    const adjustedMean = mean(adjusted);
+    let cusum = 0;
+    let best = null;
+    for (let index = 1; index < n; index++) {
+      cusum += adjusted[index - 1] - adjustedMean;
+      if (
+        index < CHANGE_POINT_MIN_BEFORE ||
+        n - index < CHANGE_POINT_MIN_AFTER
+      ) {
+        continue;
+      }
+      if (!best || Math.abs(cusum) > Math.abs(best.cusum)) {
+        best = { index, cusum };
+      }
+    }
+    if (!best) return null;
+
+    const before = adjusted.slice(0, best.index);
+    const after = adjusted.slice(best.index);
+    const levelBefore = mean(before);
+    const levelAfter = mean(after);
+
+    // Day-to-day noise from first differences (barely affected by one shift)
+    const differences = adjusted.slice(1).map((val, i) => val - adjusted[i]);
+    const noise = this.calculateStandardDeviation(differences) / Math.SQRT2;
+    if (!(noise > 0)) return null;
+
+    const { zScore, pValue } = statisticsService.normalTest(
+      levelAfter,
+      levelBefore,
+      noise * Math.sqrt(1 / before.length + 1 / after.length)
     );
-    const values = recentWindow.map((d) => d[metricName] || 0);
 
-    // Calculate if consistently trending (using simple linear regression slope)
-    const slope = this.calculateSlope(values);
+    // Bonferroni over every candidate day we searched
+    const candidates = n - CHANGE_POINT_MIN_BEFORE - CHANGE_POINT_MIN_AFTER + 1;
+    const correctedPValue = Math.min(1, pValue * candidates);
+    if (correctedPValue > CHANGE_POINT_P_VALUE) return null;
 
-    // If slope is strong and consistent, it's a trend
-    return Math.abs(slope) > 0.1 ? "trend" : "spike";
+    return {
+      date: series[best.index].date,
+      levelBefore,
+      levelAfter,
+      percentChange: this.calculatePercentChange(levelAfter, levelBefore),
+      direction: levelAfter > levelBefore ? "up" : "down",
+      daysSince: n - best.index,
+      zScore,
+      pValue: correctedPValue,
+    };
   },
 
   /**
-   * Calculate slope (for trend detection)
+   * N-of-M persistence: count anomalous days in the window ending at
+   * targetIndex that move in the same direction as the target day
    */
-  calculateSlope(values) {
-    const n = values.length;
-    const xValues = Array.from({ length: n }, (_, i) => i);
+  meetsPersistence(sortedData, metricName, targetIndex, options = {}) {
+    const algorithm = options.algorithm || this.getAlgorithmSettings(options);
+    const { window, required } = algorithm.persistence;
+
+    const { expected, scale } = this.calculateBaseline(
+      sortedData,
+      metricName,
+      options.baselineMode
+    );
 
-    const sumX = xValues.reduce((acc, x) => acc + x, 0);
-    const sumY = values.reduce((acc, y) => acc + y, 0);
-    const sumXY = xValues.reduce((acc, x, i) => acc + x * values[i], 0);
-    const sumX2 = xValues.reduce((acc, x) => acc + x * x, 0);
+    const deviation = (day) => {
+      const dayOfWeek = new Date(day.date).getDay();
+      return (day[metricName] || 0) - expected[dayOfWeek];
+    };
+
+    const targetDirection = Math.sign(deviation(sortedData[targetIndex]));
+    const windowDays = sortedData.slice(
+      Math.max(0, targetIndex - window + 1),
+      targetIndex + 1
+    );
+
+    const anomalousDays = windowDays.filter((day) => {
+      const dayOfWeek = new Date(day.date).getDay();
+      const { zScore } = this.testSignificance(
+        sortedData,
+        metricName,
+        day,
+        expected[dayOfWeek],
+        scale[dayOfWeek]
+      );
+      return (
+        Math.sign(deviation(day)) === targetDirection &&
+        Math.abs(zScore) >= algorithm.zScoreThreshold &&
+        this.isReportable(
+          sortedData,
+          metricName,
+          day,
+          expected[dayOfWeek],
+          options
+        )
+      );
+    });
 
-    return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+    return anomalousDays.length >= required;
   },
 
   /**
-   * Convert Z-score to confidence %
+   * Convert Z-score to confidence % (1 - two-sided p-value)
    */
   zScoreToConfidence(zScore) {
-    const absZ = Math.abs(zScore);
-    if (absZ >= 3.0) return 99.7; // 3 sigma
-    if (absZ >= 2.5) return 98.8;
-    if (absZ >= 2.0) return 95.4; // 2 sigma
-    return 90.0;
+    return this.pValueToConfidence(statisticsService.pValueFromZ(zScore));
+  },
+
+  /**
+   * Convert a p-value to confidence % (capped so we never claim 100%)
+   */
+  pValueToConfidence(pValue) {
+    const confidence = (1 - pValue) * 100;
+    return Math.min(99.9, Math.round(confidence * 10) / 10);
+  },
+
+  /**
+   * STEP 5: Drill down - find the segments that drove each anomaly
+   * fetchBreakdown(dimension, metrics) resolves to rows of
+   * { date, segment, ...metrics } for the analysis window
+   */
+  async attachDrillDowns(insights, sortedData, fetchBreakdown) {
+    // Several insights can share a metric - only query each breakdown once
+    const breakdownCache = new Map();
+
+    for (const insight of insights) {
+      const metrics = this.getBreakdownMetrics(insight.metric);
+      const segments = [];
+
+      for (const dimension of Object.keys(DRILL_DOWN_DIMENSIONS)) {
+        const cacheKey = `${dimension}:${metrics.join(",")}`;
+        if (!breakdownCache.has(cacheKey)) {
+          breakdownCache.set(
+            cacheKey,
+            Promise.resolve()
+              .then(() => fetchBreakdown(dimension, metrics))
+              .catch((error) => {
+                console.warn(
+                  `⚠️  Drill-down by ${dimension} failed:`,
+                  error.message
+                );
+                return [];
+              })
+          );
+        }
+
+        const rows = ((await breakdownCache.get(cacheKey)) || []).map((row) =>
+          this.addDerivedMetrics(row)
+        );
+        segments.push(
+          ...this.calculateSegmentContributions(
+            rows,
+            sortedData,
+            insight,
+            dimension
+          )
+        );
+      }
+
+      insight.segments = segments
+        .sort((a, b) => b.share - a.share)
+        .slice(0, MAX_CONTRIBUTING_SEGMENTS);
+
+      insight.explanation = this.generateExplanation(insight);
+    }
+
+    return insights;
+  },
+
+  /**
+   * Metrics needed to decompose a metric by segment
+   * Rates need their session denominator to be weighted correctly
+   */
+  getBreakdownMetrics(metricName) {
+    const derived = DERIVED_METRICS[metricName];
+    if (derived) return [derived.numerator, derived.denominator];
+
+    return metricName.includes("Rate")
+      ? [metricName, "sessions"]
+      : [metricName];
+  },
+
+  /**
+   * Denominator that weights a rate/ratio metric (null for plain counts)
+   */
+  getRatioDenominator(metricName) {
+    if (DERIVED_METRICS[metricName]) {
+      return DERIVED_METRICS[metricName].denominator;
+    }
+    return metricName.includes("Rate") ? "sessions" : null;
+  },
+
+  /**
+   * Share of an insight's change contributed by each segment of a dimension
+   * Counts: segment delta vs its same-weekday average
+   * Rates/ratios: mix-adjusted contribution, so sum of segments = overall change
+   */
+  calculateSegmentContributions(rows, sortedData, insight, dimension) {
+    const metricName = insight.metric;
+    const denominator = this.getRatioDenominator(metricName);
+    const targetDayOfWeek = new Date(insight.date).getDay();
+
+    // Compare against the same weekday, falling back to every other day
+    const otherDates = sortedData
+      .map((d) => d.date)
+      .filter((date) => date !== insight.date);
+    const sameWeekday = otherDates.filter(
+      (date) => new Date(date).getDay() === targetDayOfWeek
+    );
+    const comparisonDates = sameWeekday.length > 0 ? sameWeekday : otherDates;
+
+    if (rows.length === 0 || comparisonDates.length === 0) return [];
+
+    // Index rows by segment then date (missing rows mean zero)
+    const bySegment = new Map();
+    for (const row of rows) {
+      if (!bySegment.has(row.segment)) bySegment.set(row.segment, new Map());
+      bySegment.get(row.segment).set(row.date, row);
+    }
+
+    const average = (values) =>
+      values.reduce((acc, val) => acc + val, 0) / values.length;
+
+    const segments = [];
+    for (const [segment, byDate] of bySegment) {
+      const valueOn = (date) => byDate.get(date)?.[metricName] || 0;
+      const weightOn = (date) => byDate.get(date)?.[denominator] || 0;
+
+      if (denominator) {
+        const currentWeight = weightOn(insight.date);
+        const expectedWeight = average(comparisonDates.map(weightOn));
+        const expectedNumerator = average(
+          comparisonDates.map((date) => valueOn(date) * weightOn(date))
+        );
+
+        segments.push({
+          dimension,
+          segment,
+          currentValue: valueOn(insight.date),
+          expectedValue:
+            expectedWeight > 0 ? expectedNumerator / expectedWeight : 0,
+          currentWeight,
+          expectedWeight,
+          currentNumerator: valueOn(insight.date) * currentWeight,
+          expectedNumerator,
+        });
+      } else {
+        const currentValue = valueOn(insight.date);
+        const expectedValue = average(comparisonDates.map(valueOn));
+
+        segments.push({
+          dimension,
+          segment,
+          currentValue,
+          expectedValue,
+          change: currentValue - expectedValue,
+        });
+      }
+    }
+
+    if (denominator) {
+      // R - R̂ = Σ[(n·r - n̂·r̂) - R̂·(n - n̂)] / N
+      const totalExpectedWeight = segments.reduce(
+        (acc, s) => acc + s.expectedWeight,
+        0
+      );
+      const totalCurrentWeight = segments.reduce(
+        (acc, s) => acc + s.currentWeight,
+        0
+      );
+      if (totalExpectedWeight === 0 || totalCurrentWeight === 0) return [];
+
+      const expectedRate =
+        segments.reduce((acc, s) => acc + s.expectedNumerator, 0) /
+        totalExpectedWeight;
+
+      for (const s of segments) {
+        s.change =
+          (s.currentNumerator -
+            s.expectedNumerator -
+            expectedRate * (s.currentWeight - s.expectedWeight)) /
+          totalCurrentWeight;
+      }
+    }
+
+    const totalChange = segments.reduce((acc, s) => acc + s.change, 0);
+    if (totalChange === 0) return [];
+
+    return segments
+      .map((s) => ({
+        dimension,
+        dimensionLabel: DRILL_DOWN_DIMENSIONS[dimension] || dimension,
+        segment: s.segment,
+        currentValue: s.currentValue,
+        expectedValue: s.expectedValue,
+        change: s.change,
+        share: s.change / totalChange,
+      }))
+      .filter((s) => s.share >= MIN_SEGMENT_SHARE);
+  },
+
+  /**
+   * STEP 6: Combine related anomalies into cross-metric insights
+   * Recognises known patterns on the same day and replaces their individual
+   * insights with one combined insight (metric = the pattern's lead metric)
+   * @param {Array} insights - Significant single-metric insights
+   * @param {Array} tests - Every metric/day test in the run (incl. flat ones)
+   * @param {object} logger - analyzeMetrics' options.logger (or console)
+   * @returns {Array} Combined insights plus the insights left unmatched
+   */
+  combineRelatedInsights(insights, tests, logger = console) {
+    const combined = [];
+    const used = new Set();
+
+    for (const date of new Set(insights.map((i) => i.date))) {
+      const flagged = (metricName, direction) =>
+        insights.find(
+          (i) =>
+            i.date === date &&
+            i.metric === metricName &&
+            i.direction === direction &&
+            !used.has(i)
+        );
+      const flaggedAny = (metricNames, direction) =>
+        metricNames.map((m) => flagged(m, direction)).filter(Boolean);
+
+      // First metric tested that day that wasn't significant and moved
+      // less than maxChange
+      const steady = (metricNames, maxChange) =>
+        metricNames
+          .map((metricName) =>
+            tests.find((t) => t.date === date && t.metric === metricName)
+          )
+          .find(
+            (t) =>
+              t &&
+              !insights.some((i) => i.date === date && i.metric === t.metric) &&
+              Math.abs(t.percentChange) < maxChange
+          );
+
+      let match = null;
+      const trafficUp = flaggedAny(TRAFFIC_METRICS, "up");
+      const trafficDown = flaggedAny(TRAFFIC_METRICS, "down");
+      const outcomeDown = flaggedAny(
+        ["conversions", "transactions", "conversionRate"],
+        "down"
+      );
+
+      if (trafficUp.length > 0) {
+        // More visitors, but they engage/convert less
+        const maxChange =
+          Math.abs(trafficUp[0].percentChange) * FLAT_CHANGE_RATIO;
+        const qualityDrops = [
+          ...flaggedAny(
+            ["conversionRate", "engagementRate", "revenuePerSession"],
+            "down"
+          ),
+          ...flaggedAny(["bounceRate"], "up"),
+        ];
+        const flatOutcome = steady(OUTCOME_METRICS, maxChange);
+        if (qualityDrops.length > 0 || flatOutcome) {
+          match = {
+            pattern: "lowQualityTraffic",
+            components: [...trafficUp, ...qualityDrops],
+            steadyMetric: flatOutcome,
+          };
+        }
+      } else if (trafficDown.length > 0) {
+        // Visitors "vanish" but the money/conversions they bring don't
+        const maxChange =
+          Math.abs(trafficDown[0].percentChange) * FLAT_CHANGE_RATIO;
+        const heldOutcome = steady(OUTCOME_METRICS, maxChange);
+        if (heldOutcome) {
+          match = {
+            pattern: "trackingLoss",
+            components: [
+              ...trafficDown,
+              ...flaggedAny(["conversionRate", "revenuePerSession"], "up"),
+            ],
+            steadyMetric: heldOutcome,
+          };
+        }
+      } else if (outcomeDown.length > 0) {
+        // Same traffic, fewer conversions
+        const maxChange =
+          Math.abs(outcomeDown[0].percentChange) * FLAT_CHANGE_RATIO;
+        const steadyTraffic = steady(["sessions"], maxChange);
+        if (steadyTraffic) {
+          match = {
+            pattern: "funnelLeak",
+            components: [
+              ...outcomeDown,
+              ...flaggedAny(["totalRevenue", "revenuePerSession"], "down"),
+            ],
+            steadyMetric: steadyTraffic,
+          };
+        }
+      }
+
+      if (!match) continue;
+
+      match.components.forEach((i) => used.add(i));
+      combined.push(
+        this.buildCompoundInsight(
+          match.pattern,
+          match.components,
+          match.steadyMetric
+        )
+      );
+    }
+
+    if (combined.length > 0) {
+      logger.log(
+        `🔗 Combined related anomalies into ${combined.length} insights`
+      );
+    }
+
+    return [...combined, ...insights.filter((i) => !used.has(i))];
+  },
+
+  /**
+   * Assemble a combined insight from its component insights
+   * The first component leads: its values, drill-down and direction are used
+   * @param {object} steadyTest - Test result of the metric that stayed flat
+   */
+  buildCompoundInsight(pattern, components, steadyTest) {
+    const [lead] = components;
+    const strongest = components.reduce((best, i) =>
+      Math.abs(i.zScore) > Math.abs(best.zScore) ? i : best
+    );
+    const adjustedPValue = Math.min(...components.map((i) => i.adjustedPValue));
+
+    const insight = {
+      ...lead,
+      pattern,
+      detector: "compound",
+      zScore: strongest.zScore,
+      adjustedPValue,
+      confidence: this.pValueToConfidence(adjustedPValue),
+      impactScore: components.reduce((acc, i) => acc + i.impactScore, 0),
+      components: components.map((i) => ({
+        metric: i.metric,
+        direction: i.direction,
+        currentValue: i.currentValue,
+        expectedValue: i.expectedValue,
+        percentChange: i.percentChange,
+        zScore: i.zScore,
+        adjustedPValue: i.adjustedPValue,
+      })),
+      steadyMetric: steadyTest
+        ? {
+            metric: steadyTest.metric,
+            currentValue: steadyTest.currentValue,
+            expectedValue: steadyTest.expectedValue,
+            percentChange: steadyTest.percentChange,
+          }
+        : null,
+    };
+
+    insight.headline = this.generateCompoundHeadline(insight);
+    insight.explanation = this.generateExplanation(insight);
+    insight.actionItems = this.getActionItems(insight);
+
+    return insight;
+  },
+
+  /**
+   * STEP 7: One insight per metric (or pattern) and direction
+   * Keeps the latest anomalous day and records when the anomaly started
+   */
+  collapseRecentDays(insights) {
+    const byKey = new Map();
+    for (const insight of insights) {
+      const key = this.getIncidentKey(insight);
+      byKey.set(key, [...(byKey.get(key) || []), insight]);
+    }
+
+    return [...byKey.values()].map((group) => {
+      group.sort((a, b) => new Date(a.date) - new Date(b.date));
+      const latest = group[group.length - 1];
+      latest.startDate = group[0].date;
+      latest.daysActive = this.daysBetween(group[0].date, latest.date) + 1;
+      latest.businessImpact = impactService.combine(group);
+      return latest;
+    });
+  },
+
+  /**
+   * Identity of an anomaly across runs (start date is tracked separately)
+   */
+  getIncidentKey(insight) {
+    const key = `${insight.pattern || insight.metric}:${insight.direction}`;
+    if (insight.page) return `page:${insight.page.path}:${key}`;
+    if (insight.event) return `event:${insight.event.name}:${key}`;
+    return key;
+  },
+
+  /**
+   * What a headline is about, e.g. "Sessions", "Sessions from /pricing"
+   * or "purchase events"
+   */
+  getInsightSubject(insight) {
+    if (insight.event) return `${insight.event.name} events`;
+    const humanMetric = this.getHumanMetricName(insight.metric);
+    return insight.page
+      ? `${humanMetric} from ${insight.page.path}`
+      : humanMetric;
+  },
+
+  /**
+   * Name the landing page or event in a scoped insight's headline and
+   * explanation, e.g. "Sessions from /pricing dropped 41.6% (99.9%
+   * confidence)" or "purchase events dropped 80.0% (...)"
+   */
+  withScopeContext(insight) {
+    const humanMetric = this.getHumanMetricName(insight.metric);
+    const subject = this.getInsightSubject(insight);
+    const note = insight.page
+      ? " Only visits that landed on this page are counted."
+      : insight.event?.keyEvent
+      ? " This is a key event, so conversion reporting is affected too."
+      : "";
+
+    insight.headline = insight.headline.replace(humanMetric, subject);
+    insight.explanation = `${insight.explanation.replace(
+      humanMetric,
+      subject
+    )}${note}`;
+    return insight;
+  },
+
+  /**
+   * Whole days from one YYYY-MM-DD date to another
+   */
+  daysBetween(fromDate, toDate) {
+    return Math.round((new Date(toDate) - new Date(fromDate)) / 86400000);
+  },
+
+  /**
+   * Re-word an insight that was already reported on an earlier run
+   * e.g. "Sessions still down 23.0% (day 4)"
+   */
+  describeOngoing(insight) {
+    const humanMetric = this.getHumanMetricName(insight.metric);
+    const percentDisplay = (Math.abs(insight.percentChange) * 100).toFixed(1);
+    const change = `${insight.direction} ${percentDisplay}%`;
+
+    insight.headline = insight.pattern
+      ? `${this.getPatternLabel(insight.pattern)} continues: ${humanMetric} ${change} (day ${insight.daysActive})`
+      : `${this.getInsightSubject(insight)} still ${change} (day ${
+          insight.daysActive
+        })`;
+    if (insight.botTraffic) {
+      insight.headline = `Likely bot traffic: ${insight.headline}`;
+    }
+    insight.explanation = `This started on ${insight.startDate} and is now on day ${insight.daysActive}. ${insight.explanation}`;
+
+    return insight;
+  },
+
+  /**
+   * Insight announcing that an earlier anomaly is over
+   * @param {object} incident - { metric, pattern, direction, startDate,
+   *   lastSeenDate, expectedValue }
+   * @param {object} latestDay - Most recent day of data
+   */
+  buildRecoveryInsight(incident, latestDay, currency = DEFAULT_CURRENCY) {
+    const { metric, pattern, direction, startDate, lastSeenDate } = incident;
+    const day = this.addDerivedMetrics(latestDay);
+    const currentValue = day[metric] || 0;
+    const expectedValue = incident.expectedValue;
+    const daysActive = this.daysBetween(startDate, lastSeenDate) + 1;
+    const name = pattern
+      ? this.getPatternLabel(pattern)
+      : this.getHumanMetricName(metric);
+
+    return {
+      date: day.date,
+      metric,
+      pattern: pattern || null,
+      detector: "lifecycle",
+      status: "recovered",
+      currentValue,
+      expectedValue,
+      percentChange: this.calculatePercentChange(currentValue, expectedValue),
+      zScore: 0,
+      trendType: "recovery",
+      direction,
+      impactScore: 0,
+      currency,
+      startDate,
+      daysActive,
+      headline: `${name} recovered after ${daysActive} ${
+        daysActive === 1 ? "day" : "days"
+      }`,
+      explanation: `${this.getHumanMetricName(
+        metric
+      )} is back to ${this.formatMetricValue(
+        metric,
+        currentValue,
+        currency
+      )} on ${day.date} (expected ${this.formatMetricValue(
+        metric,
+        expectedValue,
+        currency
+      )}), ending the ${
+        direction === "up" ? "rise" : "drop"
+      } that started on ${startDate}.`,
+      actionItems: RECOVERY_ACTION_ITEMS,
+    };
   },
 
   /**
    * Generate headline with statistical language
    */
-  generateHeadline(metricName, percentChange, trendType, zScore) {
+  generateHeadline(
+    metricName,
+    percentChange,
+    trendType,
+    confidence,
+    changePoint = null
+  ) {
     const humanMetric = this.getHumanMetricName(metricName);
+
+    // Level shift: "Conversions have been 18.0% lower since Oct 3"
+    if (trendType === "trend" && changePoint) {
+      const verb = COUNT_METRICS.includes(metricName) ? "have" : "has";
+      const shiftDisplay = (Math.abs(changePoint.percentChange) * 100).toFixed(
+        1
+      );
+      return `${humanMetric} ${verb} been ${shiftDisplay}% ${
+        changePoint.direction === "up" ? "higher" : "lower"
+      } since ${this.formatShortDate(changePoint.date)} (${confidence}% confidence)`;
+    }
+
     const percentDisplay = (Math.abs(percentChange) * 100).toFixed(1);
     const direction = percentChange > 0 ? "jumped" : "dropped";
-    const confidence = this.zScoreToConfidence(zScore);
 
     const trendWord = trendType === "trend" ? "trending" : direction;
 
@@ -297,29 +1684,243 @@ export const insightsService = {
   /**
    * Generate explanation with context
    */
-  generateExplanation(
-    metricName,
-    currentValue,
-    expectedValue,
-    percentChange,
-    trendType,
-    date
-  ) {
+  generateExplanation(insight) {
+    if (insight.pattern) {
+      return this.withAnnotationContext(
+        this.generateCompoundExplanation(insight),
+        insight
+      );
+    }
+
+    const {
+      metric: metricName,
+      currentValue,
+      expectedValue,
+      percentChange,
+      trendType,
+      date,
+      segments = [],
+      forecast,
+      changePoint,
+      currency,
+    } = insight;
     const humanMetric = this.getHumanMetricName(metricName);
     const direction = percentChange > 0 ? "up" : "down";
 
     const trendContext =
-      trendType === "trend"
+      trendType === "trend" && changePoint
+        ? `The level shifted on ${
+            changePoint.date
+          }: it has averaged ${this.formatMetricValue(
+            metricName,
+            changePoint.levelAfter,
+            currency
+          )} a day since, vs ${this.formatMetricValue(
+            metricName,
+            changePoint.levelBefore,
+            currency
+          )} before (adjusted for day of week).`
+        : trendType === "trend"
         ? "This is a sustained trend over multiple days."
         : "This appears to be a temporary spike.";
 
-    return `${humanMetric} reached ${this.formatMetricValue(
-      metricName,
-      currentValue
-    )} on ${date}, ${direction} from an expected ${this.formatMetricValue(
-      metricName,
-      expectedValue
-    )} (accounting for day-of-week patterns). ${trendContext}`;
+    const expectation = forecast
+      ? `outside the expected range of ${this.formatMetricValue(
+          metricName,
+          forecast.interval === 99 ? forecast.lower99 : forecast.lower95,
+          currency
+        )}–${this.formatMetricValue(
+          metricName,
+          forecast.interval === 99 ? forecast.upper99 : forecast.upper95,
+          currency
+        )} (${forecast.interval}% forecast interval, accounting for trend and day-of-week patterns)`
+      : `${direction} from an expected ${this.formatMetricValue(
+          metricName,
+          expectedValue,
+          currency
+        )} (accounting for day-of-week patterns)`;
+
+    return this.withAnnotationContext(
+      `${humanMetric} reached ${this.formatMetricValue(
+        metricName,
+        currentValue,
+        currency
+      )} on ${date}, ${expectation}. ${trendContext}${
+        segments.length > 0 ? ` ${this.describeSegments(segments)}` : ""
+      }`,
+      insight
+    );
+  },
+
+  /**
+   * Append what was going on that day (annotations, holidays and bot
+   * bursts)
+   */
+  withAnnotationContext(explanation, insight) {
+    const notes = (insight.annotations || []).map((a) => {
+      if (a.source === "holiday") {
+        return `${insight.date} was ${a.label}, so some of this swing is likely seasonal.`;
+      }
+      if (typeof a.expectedImpact !== "number" || a.expectedImpact === 0) {
+        return `This lines up with your annotation "${a.label}".`;
+      }
+
+      const expectedDisplay = `${a.expectedImpact > 0 ? "+" : ""}${(
+        a.expectedImpact * 100
+      ).toFixed(0)}%`;
+      return Math.sign(a.expectedImpact) === Math.sign(insight.percentChange)
+        ? `"${a.label}" was expected to move this ${expectedDisplay}, but the change was larger than planned.`
+        : `"${a.label}" was expected to move this ${expectedDisplay}, but it went the other way.`;
+    });
+
+    if (insight.botTraffic) {
+      notes.push(botTrafficService.describeBurst(insight.botTraffic));
+    }
+
+    return notes.length > 0 ? `${explanation} ${notes.join(" ")}` : explanation;
+  },
+
+  /**
+   * Estimated conversions and revenue behind an anomaly, e.g. "Estimated
+   * impact over 3 days: about 34 fewer conversions and $2,150.00 less
+   * revenue." ("" when it rounds to nothing)
+   * @param {object} impact - insight.businessImpact (impactService)
+   */
+  describeBusinessImpact(impact) {
+    if (!impact) return "";
+
+    const parts = [];
+    const conversions = Math.round(Math.abs(impact.conversions || 0));
+    if (conversions >= 1) {
+      parts.push(
+        `${conversions.toLocaleString("en-US")} ${
+          impact.conversions > 0 ? "more" : "fewer"
+        } ${conversions === 1 ? "conversion" : "conversions"}`
+      );
+    }
+    const revenue = Math.round(Math.abs(impact.revenue || 0));
+    if (revenue >= 1) {
+      parts.push(
+        `${this.formatMetricValue("totalRevenue", revenue, impact.currency)} ${
+          impact.revenue > 0 ? "more" : "less"
+        } revenue`
+      );
+    }
+    if (parts.length === 0) return "";
+
+    const period =
+      impact.days === 1
+        ? `on ${this.formatShortDate(impact.startDate)}`
+        : `over ${impact.days} days`;
+    return `Estimated impact ${period}: about ${parts.join(" and ")}.`;
+  },
+
+  /**
+   * Headline for a combined insight, e.g.
+   * "Sessions up 40.0% but Conversion Rate down 25.0% — likely low-quality visitors"
+   */
+  generateCompoundHeadline(insight) {
+    const { pattern, components, steadyMetric, confidence } = insight;
+    const describe = (c) =>
+      `${this.getHumanMetricName(c.metric)} ${c.direction} ${(
+        Math.abs(c.percentChange) * 100
+      ).toFixed(1)}%`;
+    const steadyName = steadyMetric
+      ? this.getHumanMetricName(steadyMetric.metric)
+      : "";
+    const [lead] = components;
+    const second = components.find((c) => !TRAFFIC_METRICS.includes(c.metric));
+
+    const headlines = {
+      lowQualityTraffic: `${describe(lead)} but ${
+        second ? describe(second) : `${steadyName} flat`
+      } — likely low-quality visitors`,
+      trackingLoss: `${describe(lead)} while ${steadyName} held steady — possible tracking loss`,
+      funnelLeak: `${describe(lead)} on steady traffic — possible funnel leak`,
+    };
+
+    return `${headlines[pattern]} (${confidence}% confidence)`;
+  },
+
+  /**
+   * Explanation for a combined insight: what moved, what didn't, and why
+   * that combination matters
+   */
+  generateCompoundExplanation(insight) {
+    const {
+      pattern,
+      components,
+      steadyMetric,
+      date,
+      currency,
+      segments = [],
+    } = insight;
+
+    const changes = components.map(
+      (c) =>
+        `${this.getHumanMetricName(c.metric)} ${
+          c.direction === "up" ? "rose" : "fell"
+        } ${(Math.abs(c.percentChange) * 100).toFixed(
+          1
+        )}% to ${this.formatMetricValue(c.metric, c.currentValue, currency)}`
+    );
+    const changeList =
+      changes.length > 1
+        ? `${changes.slice(0, -1).join(", ")} and ${changes[changes.length - 1]}`
+        : changes[0];
+
+    const steadyContext = steadyMetric
+      ? ` while ${this.getHumanMetricName(
+          steadyMetric.metric
+        )} held at ${this.formatMetricValue(
+          steadyMetric.metric,
+          steadyMetric.currentValue,
+          currency
+        )} (expected ${this.formatMetricValue(
+          steadyMetric.metric,
+          steadyMetric.expectedValue,
+          currency
+        )})`
+      : "";
+
+    const reasons = {
+      lowQualityTraffic:
+        "More visitors arrived but they engaged or converted less, which usually points to a new low-intent source (a broad campaign, a viral post or bots) rather than more real demand.",
+      trackingLoss:
+        "A real drop in visitors normally takes conversions and revenue with it, so the missing traffic is more likely untracked than lost.",
+      funnelLeak:
+        "Visitors are still arriving at the usual rate but fewer of them complete the conversion, so something in the funnel has likely broken or got worse.",
+    };
+
+    return `On ${date}, ${changeList}${steadyContext}. ${reasons[pattern]}${
+      segments.length > 0 ? ` ${this.describeSegments(segments)}` : ""
+    }`;
+  },
+
+  /**
+   * Display name of a cross-metric pattern (e.g. "Possible tracking loss")
+   */
+  getPatternLabel(pattern) {
+    return COMPOUND_PATTERNS[pattern]?.label || pattern;
+  },
+
+  /**
+   * Summarize the top contributing segments in one sentence
+   */
+  describeSegments(segments) {
+    const parts = segments
+      .slice(0, 3)
+      .map(
+        (s) =>
+          `${s.segment} (${s.dimensionLabel}, ${Math.round(s.share * 100)}%)`
+      );
+
+    const list =
+      parts.length > 1
+        ? `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`
+        : parts[0];
+
+    return `Most of the change came from ${list}.`;
   },
 
   /**
@@ -332,35 +1933,117 @@ export const insightsService = {
       conversions: "Conversions",
       engagementRate: "Engagement Rate",
       bounceRate: "Bounce Rate",
+      conversionRate: "Conversion Rate",
       totalRevenue: "Revenue",
+      transactions: "Transactions",
+      averageOrderValue: "Average Order Value",
+      revenuePerSession: "Revenue per Session",
+      eventCount: "Events",
+      sessionsPerUser: "Sessions per User",
+      unassignedRate: "Unassigned Share",
+      notSetRate: "(not set) Share",
     };
     return names[metricName] || metricName;
   },
 
   /**
    * Format metric values for display
+   * @param {string} currency - ISO 4217 code from the GA4 property
    */
-  formatMetricValue(metricName, value) {
+  formatMetricValue(metricName, value, currency = DEFAULT_CURRENCY) {
     if (metricName.includes("Rate")) {
       return `${(value * 100).toFixed(1)}%`;
     }
-    if (metricName === "totalRevenue") {
-      return `$${value.toFixed(2)}`;
+    if (this.isCurrencyMetric(metricName)) {
+      try {
+        return new Intl.NumberFormat("en-US", {
+          style: "currency",
+          currency: currency || DEFAULT_CURRENCY,
+        }).format(value);
+      } catch (error) {
+        // Unknown currency code - show the code instead of failing the email
+        return `${currency} ${value.toFixed(2)}`;
+      }
+    }
+    if (metricName.includes("Per")) {
+      return value.toFixed(2); // Ratios like sessionsPerUser
     }
-    return Math.round(value).toString();
+    return Math.round(value).toLocaleString("en-US");
   },
 
   /**
-   * Get action items
+   * Format a YYYY-MM-DD date as "Oct 3"
    */
-  getActionItems(metricName, direction) {
-    const key = `${metricName}_${direction}`;
-    return (
-      ACTION_LIBRARY[key] || [
-        "Review recent changes that might have caused this shift",
-        "Check GA4 for additional context and related metrics",
-        "Monitor over next few days to confirm this is a trend",
-      ]
+  formatShortDate(date) {
+    return new Date(date).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  },
+
+  /**
+   * Is this metric a money amount?
+   */
+  isCurrencyMetric(metricName) {
+    return CURRENCY_METRICS.includes(metricName);
+  },
+
+  /**
+   * Action items for an insight from the account's playbook
+   * (default < industry preset < the account's edits), with {variables}
+   * filled from the insight
+   * @param {object} playbook - { industry, actions } (optional)
+   */
+  getActionItems(insight, playbook = null) {
+    const type = getInsightType(insight);
+    const templates = this.getPlaybookLibrary(playbook)[type] || [
+      "Review recent changes that might have caused this shift",
+      "Check GA4 for additional context and related metrics",
+      "Monitor over next few days to confirm this is a trend",
+    ];
+
+    const variables = this.getActionVariables(insight);
+    return templates.map((text) =>
+      text.replace(
+        /\{(\w+)\}/g,
+        (match, name) => variables[name] ?? PLAYBOOK_VARIABLES[name] ?? match
+      )
     );
   },
+
+  /**
+   * Every action key's templates for an account's playbook
+   */
+  getPlaybookLibrary(playbook = null) {
+    return {
+      ...DEFAULT_PLAYBOOK,
+      ...(INDUSTRY_PLAYBOOKS[playbook?.industry]?.actions || {}),
+      ...(playbook?.actions || {}),
+    };
+  },
+
+  /**
+   * Values for the {variables} in action text (missing = no context)
+   */
+  getActionVariables(insight) {
+    const segments = insight.segments || [];
+    const topSegment = (dimension) =>
+      segments.find((s) => s.dimension === dimension)?.segment;
+    const percent = Math.abs(insight.percentChange) * 100;
+
+    return {
+      metric: this.getHumanMetricName(insight.metric),
+      change: Number.isFinite(percent)
+        ? `${insight.direction} ${percent.toFixed(1)}%`
+        : undefined,
+      date: insight.date ? this.formatShortDate(insight.date) : undefined,
+      topChannel: topSegment("sessionDefaultChannelGroup"),
+      topDevice: topSegment("deviceCategory"),
+      topCountry: topSegment("country"),
+      topPage: insight.page?.path ?? topSegment("landingPage"),
+      event: insight.event?.name,
+      botSource: insight.botTraffic?.segments[0]?.segment,
+    };
+  },
 };
@@ -0,0 +1,236 @@
+// Pacing Service - Month-to-date progress against per-property goals
+// Projects the period-end total (actual so far + Holt-Winters forecast for
+// the rest of the month) and raises an insight when it misses the goal by
+// more than the goal's tolerance
+//
+// Table: property_goals
+//   id, user_id, ga4_connection_id, metric, month (YYYY-MM), target,
+//   tolerance (fraction, e.g. 0.1 = ±10%)
+import { supabaseAdmin } from "./supabase.service.js";
+import { forecastService } from "./forecast.service.js";
+import { insightsService } from "./insights.service.js";
+
+export const GOAL_METRICS = ["sessions", "conversions", "totalRevenue"];
+export const DEFAULT_GOAL_TOLERANCE = 0.1;
+const Z_95 = 1.96;
+const FALLBACK_WINDOW = 28; // Days of weekday averages when we can't fit
+
+// How each goal reads in a headline ("October conversion goal")
+const GOAL_LABELS = {
+  sessions: "sessions",
+  conversions: "conversion",
+  totalRevenue: "revenue",
+};
+
+const ACTION_ITEMS = {
+  behind: [
+    "Check which channels are under-delivering vs last month",
+    "Bring forward planned campaigns or promotions",
+    "Revisit the goal if the shortfall has a known cause (seasonality, budget)",
+  ],
+  ahead: [
+    "Find the channels beating plan and shift budget toward them",
+    "Check capacity (stock, sales team, fulfilment) for the extra volume",
+    "Consider raising next month's goal",
+  ],
+};
+
+export const pacingService = {
+  /**
+   * Goals set for a property in a month
+   * @param {string} month - YYYY-MM
+   */
+  async getGoals(connectionId, month) {
+    const { data, error } = await supabaseAdmin
+      .from("property_goals")
+      .select("id, metric, month, target, tolerance")
+      .eq("ga4_connection_id", connectionId)
+      .eq("month", month);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Month (YYYY-MM) and its first day for a YYYY-MM-DD date
+   */
+  getMonth(date) {
+    return { month: date.slice(0, 7), monthStart: `${date.slice(0, 7)}-01` };
+  },
+
+  /**
+   * Pacing insights for every goal in the month of the latest data day
+   * @param {Array} dailyData - Daily metrics covering the month so far
+   *   (plus earlier history, which improves the forecast)
+   * @param {Array} goals - property_goals rows for that month
+   * @returns {Array} Insights for goals projected outside their tolerance
+   */
+  analyzePacing(dailyData, goals, options = {}) {
+    if (!dailyData?.length || !goals?.length) return [];
+
+    const sortedData = [...dailyData]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map((day) => insightsService.addDerivedMetrics(day));
+    const asOfDate = sortedData[sortedData.length - 1].date;
+    const { month, monthStart } = this.getMonth(asOfDate);
+
+    const [year, monthIndex] = month.split("-").map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+    const daysElapsed = Number(asOfDate.slice(8, 10));
+    const daysRemaining = daysInMonth - daysElapsed;
+
+    // Missing rows are zero-activity days; missing the start isn't
+    if (sortedData[0].date > monthStart) {
+      console.log(`⚠️  Pacing skipped: data doesn't reach ${monthStart}`);
+      return [];
+    }
+    const monthDays = sortedData.filter((d) => d.date >= monthStart);
+
+    const insights = [];
+    for (const goal of goals) {
+      if (goal.month !== month || !GOAL_METRICS.includes(goal.metric)) {
+        continue;
+      }
+
+      const actualToDate = monthDays.reduce(
+        (acc, d) => acc + (d[goal.metric] || 0),
+        0
+      );
+      const { total, stdError } = this.forecastRemaining(
+        sortedData,
+        goal.metric,
+        daysRemaining
+      );
+
+      const projected = actualToDate + total;
+      const pacing = {
+        goalId: goal.id,
+        month,
+        target: goal.target,
+        tolerance: goal.tolerance ?? DEFAULT_GOAL_TOLERANCE,
+        actualToDate,
+        projected,
+        lower: Math.max(actualToDate, projected - Z_95 * stdError),
+        upper: projected + Z_95 * stdError,
+        daysElapsed,
+        daysInMonth,
+        requiredDailyRate:
+          daysRemaining > 0
+            ? Math.max(0, goal.target - actualToDate) / daysRemaining
+            : 0,
+      };
+
+      const ratio = goal.target > 0 ? projected / goal.target : 1;
+      if (Math.abs(ratio - 1) <= pacing.tolerance) continue;
+
+      insights.push(
+        this.buildPacingInsight(goal.metric, asOfDate, pacing, stdError, {
+          currency: options.currency,
+        })
+      );
+    }
+
+    return insights;
+  },
+
+  /**
+   * Forecast the total for the rest of the period
+   * Holt-Winters when there's enough history, weekday averages otherwise
+   * @returns {object} { total, stdError } - stdError of the total assumes
+   *   independent daily errors (a lower bound)
+   */
+  forecastRemaining(sortedData, metricName, daysRemaining) {
+    if (daysRemaining <= 0) return { total: 0, stdError: 0 };
+
+    const values = sortedData.map((d) => d[metricName] || 0);
+    const model = forecastService.fit(values);
+
+    if (model) {
+      const points = forecastService.forecast(model, daysRemaining, {
+        min: 0,
+      });
+      return {
+        total: points.reduce((acc, p) => acc + p.value, 0),
+        stdError: Math.sqrt(
+          points.reduce((acc, p) => acc + p.stdError * p.stdError, 0)
+        ),
+      };
+    }
+
+    const recent = sortedData.slice(-FALLBACK_WINDOW);
+    const baseline = insightsService.calculateSeasonalBaseline(
+      recent,
+      metricName
+    );
+    const stdDev = insightsService.calculateStandardDeviation(
+      recent.map((d) => d[metricName] || 0)
+    );
+
+    // Same weekday keys as the baseline (day of the week cycles every 7)
+    const lastDayOfWeek = new Date(
+      sortedData[sortedData.length - 1].date
+    ).getDay();
+    let total = 0;
+    for (let step = 1; step <= daysRemaining; step++) {
+      total += baseline[(lastDayOfWeek + step) % 7];
+    }
+
+    return { total, stdError: stdDev * Math.sqrt(daysRemaining) };
+  },
+
+  /**
+   * Insight for a goal that's off pace
+   * e.g. "On pace for 82% of October conversion goal"
+   */
+  buildPacingInsight(metricName, asOfDate, pacing, stdError, options = {}) {
+    const currency = options.currency;
+    const format = (value) =>
+      insightsService.formatMetricValue(metricName, value, currency);
+    const percentChange = pacing.projected / pacing.target - 1;
+    const direction = percentChange > 0 ? "up" : "down";
+    const monthName = new Date(`${pacing.month}-01`).toLocaleDateString(
+      "en-US",
+      { month: "long", timeZone: "UTC" }
+    );
+    const zScore =
+      stdError > 0 ? (pacing.projected - pacing.target) / stdError : 0;
+
+    const neededContext =
+      direction === "down" && pacing.requiredDailyRate > 0
+        ? ` Hitting it would take about ${format(
+            pacing.requiredDailyRate
+          )} a day for the remaining ${
+            pacing.daysInMonth - pacing.daysElapsed
+          } days.`
+        : "";
+
+    return {
+      date: asOfDate,
+      metric: metricName,
+      detector: "pacing",
+      currentValue: pacing.projected,
+      expectedValue: pacing.target,
+      percentChange,
+      zScore,
+      confidence: insightsService.zScoreToConfidence(zScore),
+      trendType: "pacing",
+      direction,
+      impactScore: Math.abs(percentChange) * 100,
+      currency,
+      pacing,
+      headline: `On pace for ${Math.round(
+        (pacing.projected / pacing.target) * 100
+      )}% of ${monthName} ${GOAL_LABELS[metricName]} goal`,
+      explanation: `${insightsService.getHumanMetricName(
+        metricName
+      )} reached ${format(pacing.actualToDate)} in the first ${
+        pacing.daysElapsed
+      } of ${pacing.daysInMonth} days of ${monthName}. At the current pace the month should end around ${format(
+        pacing.projected
+      )} (likely ${format(pacing.lower)}–${format(
+        pacing.upper
+      )}), against a goal of ${format(pacing.target)}.${neededContext}`,
+      actionItems: ACTION_ITEMS[direction === "down" ? "behind" : "ahead"],
+    };
+  },
+};
@@ -0,0 +1,54 @@
+// Playbooks Service - Each account's action-item playbook
+// Table: action_playbooks
+//   user_id (unique), industry (preset from config/playbooks.js, optional),
+//   actions (JSON: action key -> list of action texts), updated_at
+import { supabaseAdmin } from "./supabase.service.js";
+
+export const playbooksService = {
+  /**
+   * An account's playbook ({ industry: null, actions: {} } if none saved)
+   * Failures are logged and treated as "use the defaults", unless strict
+   * (callers that save the playbook back must not overwrite it with them)
+   * @param {string} userId
+   * @param {object} options - { strict: throw read errors instead }
+   */
+  async getPlaybook(userId, { strict = false } = {}) {
+    const { data, error } = await supabaseAdmin
+      .from("action_playbooks")
+      .select("industry, actions")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      if (strict) throw error;
+      console.error("⚠️  Could not load playbook:", error.message);
+    }
+
+    return {
+      industry: data?.industry || null,
+      actions: data?.actions || {},
+    };
+  },
+
+  /**
+   * Save an account's playbook (replaces industry and actions)
+   */
+  async savePlaybook(userId, { industry, actions }) {
+    const { data, error } = await supabaseAdmin
+      .from("action_playbooks")
+      .upsert(
+        {
+          user_id: userId,
+          industry,
+          actions,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "user_id" }
+      )
+      .select("industry, actions")
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+};
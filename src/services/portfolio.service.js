@@ -0,0 +1,216 @@
+// Portfolio Service - One roll-up across all of an account's properties
+// Agencies connect many properties; the daily email covers one. The roll-up
+// adds the properties up day by day (counts summed, rates session-weighted,
+// like a digest period), runs the anomaly engine on the combined series and
+// ranks the properties that moved most on the latest day.
+//
+// Properties can be grouped (analysis_settings.portfolioGroup, e.g.
+// "Retail clients"); each named group with 2+ properties gets its own
+// roll-up next to "All properties"
+import { insightsService } from "./insights.service.js";
+import { digestService } from "./digest.service.js";
+
+export const ALL_PROPERTIES_GROUP = "All properties";
+export const MAX_GROUP_NAME_LENGTH = 50;
+export const MAX_ROLLUP_PROPERTIES = 50; // GA4 fetches per run
+const MAX_GROUPS = 5; // Including "All properties"
+const MAX_ROLLUP_ANOMALIES = 3;
+const MAX_MOVERS = 5;
+
+// Metrics a property can "move" on, with the baseline it needs first
+const MOVER_METRICS = {
+  sessions: 20, // per day
+  conversions: 5,
+  totalRevenue: 1,
+};
+
+export const portfolioService = {
+  /**
+   * Groups to roll up: every property, plus each named group of 2+
+   * @param {Array} properties - [{ connection, daily, currency }]
+   * @returns {Array} [{ name, properties }]
+   */
+  getGroups(properties) {
+    const named = new Map();
+    for (const property of properties) {
+      const name = property.connection.analysis_settings?.portfolioGroup;
+      if (!name) continue;
+      if (!named.has(name)) named.set(name, []);
+      named.get(name).push(property);
+    }
+
+    return [
+      { name: ALL_PROPERTIES_GROUP, properties },
+      ...[...named]
+        .filter(([, members]) => members.length >= 2)
+        .sort((a, b) => b[1].length - a[1].length)
+        .map(([name, members]) => ({ name, properties: members })),
+    ].slice(0, MAX_GROUPS);
+  },
+
+  /**
+   * Combined daily series for a set of properties
+   * Stops at the earliest "latest day" among them, so one property's
+   * processing lag doesn't read as a portfolio-wide drop. Revenue is only
+   * added up when every property reports in the same currency.
+   * @returns {object} { daily, currency } - currency is null when mixed
+   */
+  aggregate(properties) {
+    const withData = properties.filter((p) => p.daily.length > 0);
+    if (withData.length === 0) return { daily: [], currency: null };
+
+    const lastDate = withData
+      .map((p) => p.daily.reduce((max, d) => (d.date > max ? d.date : max), ""))
+      .sort()[0];
+    const currencies = new Set(withData.map((p) => p.currency));
+    const currency = currencies.size === 1 ? [...currencies][0] : null;
+
+    const byDate = new Map();
+    for (const { daily } of withData) {
+      for (const day of daily) {
+        if (day.date > lastDate) continue;
+        if (!byDate.has(day.date)) byDate.set(day.date, []);
+        byDate.get(day.date).push(day);
+      }
+    }
+
+    const daily = [...byDate]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, days]) => {
+        const totals = digestService.summarize(days);
+        if (!currency) {
+          delete totals.totalRevenue;
+          delete totals.averageOrderValue;
+          delete totals.revenuePerSession;
+        }
+        return { date, ...totals };
+      });
+
+    return { daily, currency };
+  },
+
+  /**
+   * Properties that moved most on a day vs their own weekday baseline
+   * (each property's biggest change among MOVER_METRICS)
+   * @returns {Array} [{ connectionId, propertyName, metric, currentValue,
+   *   expectedValue, percentChange, currency }]
+   */
+  rankMovers(properties, date) {
+    const movers = [];
+    for (const { connection, daily, currency } of properties) {
+      const day = daily.find((d) => d.date === date);
+      const history = daily.filter((d) => d.date < date);
+      if (!day || history.length < 7) continue;
+
+      const changes = Object.entries(MOVER_METRICS)
+        .map(([metric, minBaseline]) => {
+          const expectedValue = insightsService.calculateSeasonalBaseline(
+            history,
+            metric
+          )[new Date(date).getDay()];
+          if (!(expectedValue >= minBaseline)) return null;
+
+          const currentValue = day[metric] || 0;
+          return {
+            metric,
+            currentValue,
+            expectedValue,
+            percentChange: insightsService.calculatePercentChange(
+              currentValue,
+              expectedValue
+            ),
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Math.abs(b.percentChange) - Math.abs(a.percentChange));
+      if (changes.length === 0) continue;
+
+      movers.push({
+        connectionId: connection.id,
+        propertyName: connection.property_name || connection.property_id,
+        ...changes[0],
+        currency,
+      });
+    }
+
+    return movers
+      .sort((a, b) => Math.abs(b.percentChange) - Math.abs(a.percentChange))
+      .slice(0, MAX_MOVERS);
+  },
+
+  /**
+   * Build the roll-up
+   * @param {object} params
+   * @param {Array} params.connections - Active ga4_connections rows
+   * @param {Function} params.fetchDaily - async (connection) =>
+   *   { daily, currency } (the caller handles tokens)
+   * @param {object} params.analysisOptions - analyzeMetrics options
+   * @returns {object|null} { date, propertyCount, failed, groups: [{ name,
+   *   propertyCount, currency, anomalies, movers }] } - null with fewer
+   *   than 2 properties to compare
+   */
+  async buildRollup({ connections, fetchDaily, analysisOptions = {} }) {
+    const properties = [];
+    const failed = [];
+    for (const connection of connections.slice(0, MAX_ROLLUP_PROPERTIES)) {
+      try {
+        const { daily, currency } = await fetchDaily(connection);
+        properties.push({
+          connection,
+          currency,
+          daily: daily.slice().sort((a, b) => a.date.localeCompare(b.date)),
+        });
+      } catch (error) {
+        console.error(
+          `⚠️  Roll-up fetch failed for ${connection.property_id}:`,
+          error.message
+        );
+        failed.push(connection.property_name || connection.property_id);
+      }
+    }
+
+    if (properties.length < 2) return null;
+
+    const groups = [];
+    for (const group of this.getGroups(properties)) {
+      const { daily, currency } = this.aggregate(group.properties);
+      if (daily.length === 0) continue;
+
+      const date = daily[daily.length - 1].date;
+      const anomalies = await insightsService.analyzeMetrics(daily, {
+        ...analysisOptions,
+        currency: currency || undefined,
+        maxInsights: MAX_ROLLUP_ANOMALIES,
+      });
+
+      groups.push({
+        name: group.name,
+        propertyCount: group.properties.length,
+        date,
+        currency,
+        anomalies,
+        movers: this.rankMovers(group.properties, date),
+      });
+    }
+
+    console.log(
+      `🗂️  Portfolio roll-up: ${properties.length} properties, ${groups.length} group(s)`
+    );
+
+    return {
+      date: groups[0]?.date || null,
+      propertyCount: properties.length,
+      failed,
+      groups,
+    };
+  },
+
+  /**
+   * Whether a roll-up has anything to report (an anomaly or a mover)
+   */
+  hasContent(rollup) {
+    return (rollup?.groups || []).some(
+      (group) => group.anomalies.length > 0 || group.movers.length > 0
+    );
+  },
+};
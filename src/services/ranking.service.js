@@ -0,0 +1,102 @@
+// Ranking Service - Picks which candidate insights make the email
+// Candidates from every detector are ranked by what they're estimated to be
+// worth (insight.businessImpact from impactService - revenue, or
+// conversions for properties without revenue), whichever detector found
+// them:
+//   rankScore = |estimated impact| × detector weight × agreement bonus
+//               × feedback weight
+// Candidates that can't be priced (e.g. a non-key event, or a property
+// without conversions) follow, on the statistical scale:
+//   rankScore = significance (|z|, capped) × size of the change
+//               × the same weights
+import { getInsightType } from "../config/playbooks.js";
+
+const MAX_Z_SCORE = 10; // Beyond this, more certainty doesn't add rank
+const MAX_IMPACT = 1000; // % change cap (a zero baseline is "Infinity%")
+const AGREEMENT_BONUS = 0.25; // Per extra detector flagging the same day
+export const DEFAULT_MAX_INSIGHTS = 5;
+
+// Patterns explain several metrics at once, so they edge out single ones
+const DETECTOR_WEIGHTS = {
+  compound: 1.2,
+};
+
+export const rankingService = {
+  /**
+   * Score, sort and cap a run's insights
+   * @param {Array} insights - Significant insights from every detector
+   * @param {object} options - { maxInsights, detectorWeights, typeWeights }
+   *   typeWeights: insight key -> weight (feedbackService.getTuning)
+   * @returns {Array} Top insights, each with rankScore
+   */
+  rank(insights, options = {}) {
+    const weights = { ...DETECTOR_WEIGHTS, ...(options.detectorWeights || {}) };
+    const maxInsights =
+      Number.isInteger(options.maxInsights) && options.maxInsights > 0
+        ? options.maxInsights
+        : DEFAULT_MAX_INSIGHTS;
+
+    // One unit per run: revenue if any candidate could be priced in it
+    const impactUnit = insights.some(
+      (insight) => (insight.businessImpact?.revenue ?? null) !== null
+    )
+      ? "revenue"
+      : "conversions";
+
+    return insights
+      .map((insight) => {
+        const value = Math.abs(insight.businessImpact?.[impactUnit] || 0);
+        insight.rankBasis = value > 0 ? "impact" : "significance";
+        insight.rankScore = this.score(
+          insight,
+          weights,
+          options.typeWeights || {},
+          value
+        );
+        return insight;
+      })
+      .sort((a, b) => this.compare(a, b))
+      .slice(0, maxInsights);
+  },
+
+  /**
+   * Sort order of two ranked insights (priced ones first, then by score)
+   */
+  compare(a, b) {
+    const priced = (insight) => (insight.rankBasis === "impact" ? 1 : 0);
+    return (
+      priced(b) - priced(a) ||
+      (b.rankScore || 0) - (a.rankScore || 0) ||
+      Math.abs(b.zScore || 0) - Math.abs(a.zScore || 0)
+    );
+  },
+
+  /**
+   * Rank score for one insight (higher = more worth reading)
+   * @param {number} impactValue - |estimated impact| in the run's unit
+   *   (0 = not priced: scored on significance and size of the change)
+   */
+  score(
+    insight,
+    weights = DETECTOR_WEIGHTS,
+    typeWeights = {},
+    impactValue = 0
+  ) {
+    const weight = weights[insight.detector] ?? 1;
+    const agreement =
+      1 + AGREEMENT_BONUS * Math.max(0, (insight.detectors?.length || 1) - 1);
+
+    // Types the account keeps dismissing (same keys as the playbooks)
+    const feedback = typeWeights[getInsightType(insight)] ?? 1;
+
+    if (impactValue > 0) return impactValue * weight * agreement * feedback;
+
+    const significance = Math.min(Math.abs(insight.zScore || 0), MAX_Z_SCORE);
+    // log scale: a 40% drop should beat a 20% one, not double it
+    const magnitude = Math.log1p(
+      Math.min(insight.impactScore || 0, MAX_IMPACT) / 100
+    );
+
+    return significance * magnitude * weight * agreement * feedback;
+  },
+};
@@ -1,7 +1,8 @@
 // src/services/scheduler.service.js
 import cron from "node-cron";
 import { supabaseAdmin } from "./supabase.service.js";
-import { sendDailyInsights } from "./email.service.js";
+import { sendDailyInsights, sendDigestEmail } from "./email.service.js";
+import { hasFeatureAccess } from "../config/subscriptions.js";
 import moment from "moment-timezone";
 
 /**
@@ -35,6 +36,118 @@ function getLookbackDays(subscriptionTier) {
   return tierLimits[subscriptionTier] || 14;
 }
 
+/**
+ * Store an access token GA4 refreshed mid-run (valid for an hour), so the
+ * next fetch or run doesn't refresh it again
+ */
+async function saveRefreshedToken(connectionId, accessToken) {
+  const { error } = await supabaseAdmin
+    .from("ga4_connections")
+    .update({
+      access_token: accessToken,
+      token_expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    })
+    .eq("id", connectionId);
+
+  if (error) {
+    console.error(`[Scheduler] Failed to store refreshed token:`, error);
+  }
+}
+
+/**
+ * Pacing insights for the property's goals this month
+ * Fetches the month so far when the lookback window doesn't reach the 1st
+ */
+async function getPacingInsights(connection, metrics, fetchDailyFrom) {
+  try {
+    const { pacingService } = await import("./pacing.service.js");
+    const dates = metrics.daily.map((d) => d.date).sort();
+    const { month, monthStart } = pacingService.getMonth(
+      dates[dates.length - 1]
+    );
+
+    const goals = await pacingService.getGoals(connection.id, month);
+    if (goals.length === 0) return [];
+
+    let dailyData = metrics.daily;
+    if (dates[0] > monthStart) {
+      const byDate = new Map(
+        (await fetchDailyFrom(monthStart)).map((d) => [d.date, d])
+      );
+      metrics.daily.forEach((d) => byDate.set(d.date, d));
+      dailyData = [...byDate.values()];
+    }
+
+    return pacingService.analyzePacing(dailyData, goals, {
+      currency: metrics.currencyCode,
+    });
+  } catch (error) {
+    console.error(`[Scheduler] Goal pacing failed:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Roll-up across every active property of the account (Pro/Enterprise)
+ * The analysed connection's series is reused; the others are fetched with
+ * their own tokens. Failures are logged and leave the roll-up out.
+ */
+async function getPortfolioRollup(connection, metrics, lookbackDays) {
+  try {
+    const { portfolioService, MAX_ROLLUP_PROPERTIES } = await import(
+      "./portfolio.service.js"
+    );
+    const { ga4Service } = await import("./ga4.service.js");
+
+    const { data: connections, error } = await supabaseAdmin
+      .from("ga4_connections")
+      .select("*")
+      .eq("user_id", connection.user_id)
+      .eq("is_active", true)
+      .order("created_at", { ascending: true })
+      .limit(MAX_ROLLUP_PROPERTIES);
+
+    if (error) throw error;
+    if (!connections || connections.length < 2) return null;
+
+    return await portfolioService.buildRollup({
+      connections,
+      analysisOptions: connection.analysis_settings || {},
+      fetchDaily: async (property) => {
+        if (property.id === connection.id) {
+          return { daily: metrics.daily, currency: metrics.currencyCode };
+        }
+
+        const propertyMetrics = await ga4Service.fetchMetrics(
+          property.property_id,
+          property.access_token,
+          property.refresh_token,
+          { startDate: `${lookbackDays}daysAgo`, endDate: "yesterday" }
+        );
+        if (propertyMetrics.tokenRefreshed && propertyMetrics.newAccessToken) {
+          await supabaseAdmin
+            .from("ga4_connections")
+            .update({
+              access_token: propertyMetrics.newAccessToken,
+              token_expires_at: new Date(
+                Date.now() + 3600 * 1000
+              ).toISOString(),
+            })
+            .eq("id", property.id);
+        }
+
+        return {
+          daily: propertyMetrics.hasData ? propertyMetrics.daily : [],
+          currency: propertyMetrics.currencyCode,
+        };
+      },
+    });
+  } catch (error) {
+    console.error(`[Scheduler] Portfolio roll-up failed:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Check if user should receive report based on frequency and last sent
  */
@@ -52,6 +165,117 @@ function shouldSendReport(subscriptionTier, lastEmailSentAt, frequency) {
   return true;
 }
 
+/**
+ * Build and send a weekly/monthly digest (Steps D1-D4)
+ * Period comparisons need the tier's historicalComparison flag
+ */
+async function sendDigestForUser({
+  userId,
+  userProfile,
+  connection,
+  accessToken,
+  frequency,
+  today,
+  runId,
+  skipTimestampUpdate,
+}) {
+  const { ga4Service } = await import("./ga4.service.js");
+  const { digestService } = await import("./digest.service.js");
+
+  // Step D1: Engine options, as for the daily email
+  const { annotationsService } = await import("./annotations.service.js");
+  const { feedbackService } = await import("./feedback.service.js");
+  const { current } = digestService.getPeriods(frequency, today);
+  const annotations = await annotationsService.getAnalysisAnnotations(
+    connection,
+    moment(current.start).subtract(1, "month").format("YYYY-MM-DD"),
+    current.end
+  );
+  const tuning = await feedbackService.getTuning(connection);
+
+  // Step D2: Build the digest (GA4 fetches reuse and store the refreshed
+  // token)
+  const digest = await digestService.buildDigest({
+    frequency,
+    today,
+    historicalComparison: hasFeatureAccess(
+      userProfile.subscription_tier,
+      "historicalComparison"
+    ),
+    analysisOptions: {
+      ...(connection.analysis_settings || {}),
+      thresholds: {
+        ...(connection.analysis_settings?.thresholds || {}),
+        ...tuning.thresholds,
+      },
+      typeWeights: tuning.typeWeights,
+      annotations,
+    },
+    fetchDaily: async (startDate, endDate) => {
+      const metrics = await ga4Service.fetchMetrics(
+        connection.property_id,
+        accessToken,
+        connection.refresh_token,
+        { startDate, endDate }
+      );
+      if (metrics.tokenRefreshed && metrics.newAccessToken) {
+        accessToken = metrics.newAccessToken;
+        await saveRefreshedToken(connection.id, accessToken);
+      }
+      return {
+        daily: metrics.hasData ? metrics.daily : [],
+        currency: metrics.currencyCode,
+      };
+    },
+  });
+
+  if (!digest) {
+    console.log(`[Scheduler] No data for ${frequency} digest: ${userId}`);
+    return { userId, success: false, error: "No metrics available" };
+  }
+
+  // Step D3: Send email
+  const emailResult = await sendDigestEmail(userId, digest);
+  if (!emailResult.success) {
+    console.error(`[Scheduler] Error sending digest:`, emailResult.error);
+    return { userId, success: false, error: emailResult.error };
+  }
+
+  const { error: logError } = await supabaseAdmin
+    .from("user_email_logs")
+    .insert({
+      user_id: userId,
+      email_type: `${frequency}_digest`,
+      sent_at: new Date().toISOString(),
+      insights_count: digest.anomalies.length,
+      cron_job_id: runId, // Link to current cron run
+      email_status: "sent",
+      resend_message_id: emailResult.emailId || null,
+    });
+
+  if (logError) {
+    console.error(`[Scheduler] Failed to log digest email:`, logError);
+  }
+
+  // Step D4: Update last email sent timestamp (skip if testing)
+  if (!skipTimestampUpdate) {
+    await supabaseAdmin
+      .from("email_preferences")
+      .update({ last_email_sent_at: new Date().toISOString() })
+      .eq("user_id", userId);
+  } else {
+    console.log(`[Scheduler] Skipping timestamp update (test mode)`);
+  }
+
+  console.log(`[Scheduler] ${frequency} digest sent to user ${userId}`);
+  return {
+    userId,
+    success: true,
+    insightsCount: digest.anomalies.length,
+    emailSent: true,
+  };
+}
+
 /**
  * Process daily insights for a single user
  */
@@ -109,7 +333,28 @@ async function processDailyInsightsForUser(
     }
 
     // Step 5: Check frequency limits (starter = weekly)
-    if (
+    // Weekly/monthly recipients get a digest once per period instead
+    const { digestService, DIGEST_FREQUENCIES } = await import(
+      "./digest.service.js"
+    );
+    const isDigest = DIGEST_FREQUENCIES.includes(emailPref.frequency);
+    const today = moment()
+      .tz(emailPref.timezone || "UTC")
+      .format("YYYY-MM-DD");
+
+    if (isDigest) {
+      if (
+        !digestService.isDue(
+          emailPref.frequency,
+          today,
+          reportDays,
+          emailPref.last_email_sent_at
+        )
+      ) {
+        console.log(`[Scheduler] No ${emailPref.frequency} digest due today`);
+        return { userId, success: false, error: "Digest not due" };
+      }
+    } else if (
       !shouldSendReport(
         userProfile.subscription_tier,
         emailPref.last_email_sent_at,
@@ -164,6 +409,20 @@ async function processDailyInsightsForUser(
       }
     }
 
+    // Step 7b: Weekly/monthly digest instead of the daily anomaly email
+    if (isDigest) {
+      return await sendDigestForUser({
+        userId,
+        userProfile,
+        connection,
+        accessToken,
+        frequency: emailPref.frequency,
+        today,
+        runId,
+        skipTimestampUpdate,
+      });
+    }
+
     // Step 8: Get lookback days based on subscription tier
     const lookbackDays = getLookbackDays(userProfile.subscription_tier);
     console.log(
@@ -185,6 +444,7 @@ async function processDailyInsightsForUser(
     // If token was refreshed during fetchMetrics, save it
     if (metrics.tokenRefreshed && metrics.newAccessToken) {
       console.log(`[Scheduler] Saving refreshed token for user ${userId}`);
+      accessToken = metrics.newAccessToken;
 
       await supabaseAdmin
         .from("ga4_connections")
@@ -205,11 +465,179 @@ async function processDailyInsightsForUser(
       return { userId, success: false, error: "No metrics available" };
     }
 
-    // Step 10: Analyze for anomalies
-    const { insightsService } = await import("./insights.service.js");
-    const insights = await insightsService.analyzeMetrics(metrics.daily);
+    // Step 9a: Keep the daily series so detector changes can be backtested
+    const { backtestService } = await import("./backtest.service.js");
+    await backtestService.saveDailySeries(connection.id, metrics.daily);
+
+    // Step 9b: Annotations + holidays that explain predictable swings
+    const { annotationsService } = await import("./annotations.service.js");
+    const dates = metrics.daily.map((d) => d.date).sort();
+    const annotations = await annotationsService.getAnalysisAnnotations(
+      connection,
+      dates[0],
+      dates[dates.length - 1]
+    );
+
+    // Step 9c: The account's action-item playbook (industry preset + edits)
+    const { playbooksService } = await import("./playbooks.service.js");
+    const playbook = await playbooksService.getPlaybook(userId);
+
+    // Step 9d: Sensitivity learned from the recipients' insight ratings
+    const { feedbackService } = await import("./feedback.service.js");
+    const tuning = await feedbackService.getTuning(connection);
+
+    // Step 10: Analyze for anomalies (drilling into GA4 dimensions for context)
+    const { insightsService, DEFAULT_MONITORED_PAGES } = await import(
+      "./insights.service.js"
+    );
+    const monitoredPages =
+      connection.analysis_settings?.monitoredPages ?? DEFAULT_MONITORED_PAGES;
+    const fetchBreakdown = async (dimension, breakdownMetrics) => {
+      const breakdown = await ga4Service.fetchDimensionBreakdown(
+        connection.property_id,
+        accessToken,
+        connection.refresh_token,
+        {
+          dimension,
+          metrics: breakdownMetrics,
+          startDate: `${lookbackDays}daysAgo`,
+          endDate: "yesterday",
+        }
+      );
 
-    if (!insights || insights.length === 0) {
+      if (breakdown.tokenRefreshed) {
+        accessToken = breakdown.newAccessToken;
+        await saveRefreshedToken(connection.id, accessToken);
+      }
+
+      return breakdown.rows;
+    };
+    const anomalies = await insightsService.analyzeMetrics(metrics.daily, {
+      ...(connection.analysis_settings || {}), // Per-property overrides
+      thresholds: {
+        ...(connection.analysis_settings?.thresholds || {}),
+        ...tuning.thresholds,
+      },
+      typeWeights: tuning.typeWeights,
+      currency: metrics.currencyCode,
+      annotations,
+      playbook,
+      fetchBreakdown,
+      // Top landing pages, tested on their own series
+      fetchPages:
+        monitoredPages > 0
+          ? async () => {
+              const landingPages = await ga4Service.fetchLandingPages(
+                connection.property_id,
+                accessToken,
+                connection.refresh_token,
+                {
+                  limit: monitoredPages,
+                  startDate: `${lookbackDays}daysAgo`,
+                  endDate: "yesterday",
+                }
+              );
+              if (landingPages.tokenRefreshed) {
+                accessToken = landingPages.newAccessToken;
+                await saveRefreshedToken(connection.id, accessToken);
+              }
+              return landingPages.pages;
+            }
+          : null,
+      // Events the account chose to watch (e.g. purchase, generate_lead)
+      fetchEvents: connection.analysis_settings?.watchedEvents?.length
+        ? async () => {
+            const eventCounts = await ga4Service.fetchEventCounts(
+              connection.property_id,
+              accessToken,
+              connection.refresh_token,
+              {
+                events: connection.analysis_settings.watchedEvents,
+                startDate: `${lookbackDays}daysAgo`,
+                endDate: "yesterday",
+              }
+            );
+            if (eventCounts.tokenRefreshed) {
+              accessToken = eventCounts.newAccessToken;
+              await saveRefreshedToken(connection.id, accessToken);
+            }
+            return eventCounts.events;
+          }
+        : null,
+    });
+
+    // Step 10a: Data quality - broken tracking outranks what it distorts
+    const { dataQualityService } = await import("./data-quality.service.js");
+    const trackingIssues = await dataQualityService.analyze(metrics.daily, {
+      fetchBreakdown,
+      currency: metrics.currencyCode,
+      playbook,
+    });
+
+    // Step 10b: Track anomalies across runs (new / ongoing / recovered)
+    // Anomalies a tracking issue explains are still tracked (so they don't
+    // "recover" mid-outage) but left out of the email
+    const { incidentsService } = await import("./incidents.service.js");
+    const trackedInsights = dataQualityService.suppressExplained(
+      await incidentsService.trackInsights(
+        connection,
+        anomalies,
+        metrics.daily,
+        metrics.currencyCode
+      ),
+      trackingIssues
+    );
+
+    // Step 10c: Goal pacing (month-to-date projection vs monthly goals)
+    const pacingInsights = await getPacingInsights(
+      connection,
+      metrics,
+      async (startDate) => {
+        const monthMetrics = await ga4Service.fetchMetrics(
+          connection.property_id,
+          accessToken,
+          connection.refresh_token,
+          { startDate, endDate: "yesterday" }
+        );
+        if (monthMetrics.tokenRefreshed) {
+          accessToken = monthMetrics.newAccessToken;
+          await saveRefreshedToken(connection.id, accessToken);
+        }
+        return monthMetrics.daily;
+      }
+    );
+
+    const insights = [...trackingIssues, ...pacingInsights, ...trackedInsights];
+
+    // Step 10d: Portfolio roll-up across all properties (Pro/Enterprise)
+    // Its anomalies and movers are email content of their own, so a quiet
+    // day on this property still sends the roll-up
+    const { portfolioService } = await import("./portfolio.service.js");
+    const rollup = hasFeatureAccess(
+      userProfile.subscription_tier,
+      "portfolioRollup"
+    )
+      ? await getPortfolioRollup(connection, metrics, lookbackDays)
+      : null;
+    const hasRollupContent = portfolioService.hasContent(rollup);
+
+    // Step 10e: Industry benchmarks (opted-in properties only)
+    if (connection.analysis_settings?.benchmarkOptIn) {
+      const { benchmarksService } = await import("./benchmarks.service.js");
+      try {
+        benchmarksService.annotateInsights(
+          insights,
+          await benchmarksService.getPosition(metrics.daily, playbook.industry)
+        );
+      } catch (error) {
+        console.error(
+          `[Scheduler] Benchmarks unavailable for user ${userId}:`,
+          error.message
+        );
+      }
+    }
+
+    if (insights.length === 0 && !hasRollupContent) {
       console.log(`[Scheduler] No insights generated for user ${userId}`);
 
       // Check if we should send "no insights yet" email
@@ -294,32 +722,71 @@ async function processDailyInsightsForUser(
     // Step 11: Save insights to database (top 3 only)
     const topInsights = insights.slice(0, 3);
 
-    const { error: saveError } = await supabaseAdmin
-      .from("daily_insights")
-      .upsert(
-        topInsights.map((insight, index) => ({
-          user_id: userId,
-          ga4_connection_id: connection.id,
-          insight_date: insight.date,
-          insight_type: "ANOMALY",
-          priority: index + 1,
-          metric_name: insight.metric,
-          metric_value: insight.currentValue,
-          baseline_value: insight.baseline,
-          percent_change: insight.percentChange,
-          direction: insight.direction,
-          headline: insight.headline,
-          explanation: insight.explanation,
-          action_item: insight.actionItems.join("\n"),
-          impact_score: insight.impactScore,
-          supporting_data: null,
-          email_sent_at: null,
-        })),
-        {
-          onConflict: "user_id,insight_date,priority",
-          ignoreDuplicates: false,
-        }
-      );
+    // A roll-up-only email has no rows of its own to save
+    const { data: savedInsights, error: saveError } = topInsights.length
+      ? await supabaseAdmin
+          .from("daily_insights")
+          .upsert(
+            topInsights.map((insight, index) => ({
+              user_id: userId,
+              ga4_connection_id: connection.id,
+              insight_date: insight.date,
+              insight_type: "ANOMALY",
+              priority: index + 1,
+              metric_name: insight.metric,
+              metric_value: insight.currentValue,
+              baseline_value: insight.baseline,
+              percent_change: insight.percentChange,
+              direction: insight.direction,
+              headline: insight.headline,
+              explanation: insight.explanation,
+              action_item: insight.actionItems.join("\n"),
+              impact_score: insight.impactScore,
+              supporting_data: {
+                date: insight.date,
+                segments: insight.segments || [],
+                forecast: insight.forecast || null,
+                currency: insight.currency,
+                pattern: insight.pattern || null,
+                components: insight.components || [],
+                steadyMetric: insight.steadyMetric || null,
+                annotations: insight.annotations || [],
+                pacing: insight.pacing || null,
+                page: insight.page || null,
+                event: insight.event || null,
+                trackingIssue: insight.trackingIssue || null,
+                botTraffic: insight.botTraffic || null,
+                benchmark: insight.benchmark || null,
+                businessImpact: insight.businessImpact || null,
+                detection: {
+                  detector: insight.detector,
+                  detectors: insight.detectors || [insight.detector],
+                  rankScore: insight.rankScore ?? null,
+                  rankBasis: insight.rankBasis || null,
+                },
+                lifecycle: {
+                  incidentId: insight.incidentId || null,
+                  status: insight.status || "new",
+                  startDate: insight.startDate || insight.date,
+                  daysActive: insight.daysActive || 1,
+                },
+                significance: {
+                  test: insight.significanceTest,
+                  zScore: insight.zScore,
+                  pValue: insight.pValue,
+                  adjustedPValue: insight.adjustedPValue,
+                  testsInBatch: insight.testsInBatch,
+                },
+              },
+              email_sent_at: null,
+            })),
+            {
+              onConflict: "user_id,insight_date,priority",
+              ignoreDuplicates: false,
+            }
+          )
+          .select("id, insight_date, priority")
+      : { data: [], error: null };
 
     if (saveError) {
       console.error(`[Scheduler] Error saving insights:`, saveError);
@@ -328,11 +795,21 @@ async function processDailyInsightsForUser(
 
     console.log(`[Scheduler] Saved ${topInsights.length} insights to database`);
 
+    // Row ids sign the one-click feedback links in the email
+    topInsights.forEach((insight, index) => {
+      insight.insightId =
+        savedInsights?.find(
+          (row) =>
+            row.insight_date === insight.date && row.priority === index + 1
+        )?.id || null;
+    });
+
     // Step 12: Send email (pass subscription tier for branding)
     const emailResult = await sendDailyInsights(
       userId,
       topInsights,
-      userProfile.subscription_tier
+      userProfile.subscription_tier,
+      rollup
     );
 
     if (!emailResult.success) {
@@ -633,9 +1110,34 @@ export function startDailySchedule() {
     }
   );
 
+  // Rebuild industry benchmarks nightly, before the morning reports
+  cron.schedule(
+    "30 3 * * *",
+    async () => {
+      await runBenchmarksJob();
+    },
+    {
+      scheduled: true,
+      timezone: "UTC",
+    }
+  );
+
   console.log("Hourly scheduler started (checks every hour for due reports)");
 }
 
+/**
+ * Recompute the anonymous industry benchmark distributions
+ */
+export async function runBenchmarksJob() {
+  try {
+    const { benchmarksService } = await import("./benchmarks.service.js");
+    return await benchmarksService.computeBenchmarks();
+  } catch (error) {
+    console.error("[Scheduler] Benchmark job failed:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * FOR TESTING: Run the job immediately
  */
@@ -0,0 +1,217 @@
+// Statistics Service - significance tests used by the insights engine
+// Every test returns a two-sided p-value plus the equivalent signed z-score,
+// so results from different tests can be ranked on one scale
+
+const EXACT_TEST_MAX_MEAN = 50; // Above this the normal approximation is fine
+const MIN_P_VALUE = 1e-16; // Keeps z-scores finite
+
+export const statisticsService = {
+  /**
+   * Complementary error function (Numerical Recipes erfcc)
+   * Fractional error < 1.2e-7, so tail probabilities stay accurate
+   */
+  erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r =
+      t *
+      Math.exp(
+        -z * z -
+          1.26551223 +
+          t *
+            (1.00002368 +
+              t *
+                (0.37409196 +
+                  t *
+                    (0.09678418 +
+                      t *
+                        (-0.18628806 +
+                          t *
+                            (0.27886807 +
+                              t *
+                                (-1.13520398 +
+                                  t *
+                                    (1.48851587 +
+                                      t * (-0.82215223 + t * 0.17087277))))))))
+      );
+    return x >= 0 ? r : 2 - r;
+  },
+
+  /**
+   * Standard normal CDF
+   */
+  normalCdf(z) {
+    return 0.5 * this.erfc(-z / Math.SQRT2);
+  },
+
+  /**
+   * Inverse standard normal CDF (Acklam's rational approximation)
+   */
+  normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [
+      -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+      1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+    ];
+    const b = [
+      -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+      6.680131188771972e1, -1.328068155288572e1,
+    ];
+    const c = [
+      -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+      -2.549732539343734, 4.374664141464968, 2.938163982698783,
+    ];
+    const d = [
+      7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+      3.754408661907416,
+    ];
+
+    const pLow = 0.02425;
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (
+        (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+      );
+    }
+    if (p > 1 - pLow) {
+      return -this.normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+        q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+    );
+  },
+
+  /**
+   * Two-sided p-value for a z-score
+   */
+  pValueFromZ(z) {
+    return Math.min(1, this.erfc(Math.abs(z) / Math.SQRT2));
+  },
+
+  /**
+   * Signed z-score with the same two-sided p-value
+   */
+  zFromPValue(pValue, sign) {
+    const p = Math.min(1, Math.max(MIN_P_VALUE, pValue));
+    return (sign < 0 ? -1 : 1) * this.normalQuantile(1 - p / 2);
+  },
+
+  /**
+   * Benjamini-Hochberg adjusted p-values (false discovery rate)
+   * Compare the adjusted values to q (e.g. 0.1) to control the FDR
+   * @param {Array<number>} pValues - Raw p-values, in any order
+   * @returns {Array<number>} Adjusted p-values, in the same order
+   */
+  benjaminiHochberg(pValues) {
+    const m = pValues.length;
+    const order = pValues
+      .map((p, index) => ({ p: Number.isFinite(p) ? p : 1, index }))
+      .sort((a, b) => a.p - b.p);
+
+    const adjusted = new Array(m);
+    let runningMin = 1;
+    for (let rank = m; rank >= 1; rank--) {
+      const { p, index } = order[rank - 1];
+      runningMin = Math.min(runningMin, (p * m) / rank);
+      adjusted[index] = runningMin;
+    }
+
+    return adjusted;
+  },
+
+  /**
+   * Normal (z) test with a known standard deviation
+   */
+  normalTest(observed, expected, stdDev) {
+    if (!(stdDev > 0)) {
+      return { zScore: 0, pValue: 1, test: "normal" };
+    }
+    const zScore = (observed - expected) / stdDev;
+    return { zScore, pValue: this.pValueFromZ(zScore), test: "normal" };
+  },
+
+  /**
+   * Count test: negative binomial when the baseline is overdispersed
+   * (variance > mean), Poisson otherwise
+   * @param {number} observed - Observed count
+   * @param {number} mean - Expected count
+   * @param {number} variance - Day-to-day variance seen in the baseline
+   */
+  countTest(observed, mean, variance = 0) {
+    const x = Math.max(0, Math.round(observed));
+    const mu = Math.max(mean, 1e-9);
+    const overdispersed = variance > mu;
+    const test = overdispersed ? "negative-binomial" : "poisson";
+    // NB size parameter: var = mu + mu² / k
+    const k = overdispersed ? (mu * mu) / (variance - mu) : Infinity;
+
+    if (mu > EXACT_TEST_MAX_MEAN) {
+      // Normal approximation with continuity correction
+      const sd = Math.sqrt(overdispersed ? variance : mu);
+      const corrected =
+        Math.abs(x - mu) > 0.5 ? x - mu - Math.sign(x - mu) * 0.5 : 0;
+      const zScore = corrected / sd;
+      return { zScore, pValue: this.pValueFromZ(zScore), test };
+    }
+
+    // Exact tails from the pmf recursion
+    const pmf0 = overdispersed ? Math.pow(k / (k + mu), k) : Math.exp(-mu);
+    const ratio = (i) =>
+      overdispersed ? ((i + k) / (i + 1)) * (mu / (k + mu)) : mu / (i + 1);
+
+    let pmf = pmf0;
+    let lowerTail = 0; // P(X <= x)
+    for (let i = 0; i <= x; i++) {
+      lowerTail += pmf;
+      if (i < x) pmf *= ratio(i);
+    }
+    const upperTail = 1 - lowerTail + pmf; // P(X >= x)
+
+    const pValue = Math.min(1, 2 * Math.min(lowerTail, upperTail));
+    return {
+      zScore: this.zFromPValue(pValue, x - mu),
+      pValue,
+      test,
+    };
+  },
+
+  /**
+   * Two-proportion z-test with beta-binomial style overdispersion
+   * @param {object} current - { rate, trials } for the day under test
+   * @param {object} baseline - { rate, trials } pooled over the baseline
+   * @param {number} extraVariance - Between-day variance of the rate beyond
+   *   binomial noise (0 = plain two-proportion test)
+   */
+  proportionTest(current, baseline, extraVariance = 0) {
+    const n1 = current.trials;
+    const n0 = baseline.trials;
+    if (!(n1 > 0) || !(n0 > 0)) {
+      return { zScore: 0, pValue: 1, test: "two-proportion" };
+    }
+
+    const p1 = Math.min(1, Math.max(0, current.rate));
+    const p0 = Math.min(1, Math.max(0, baseline.rate));
+    const pooled = (p1 * n1 + p0 * n0) / (n1 + n0);
+
+    const variance =
+      pooled * (1 - pooled) * (1 / n1 + 1 / n0) + Math.max(0, extraVariance);
+    if (!(variance > 0)) {
+      return { zScore: 0, pValue: 1, test: "two-proportion" };
+    }
+
+    const zScore = (p1 - p0) / Math.sqrt(variance);
+    return {
+      zScore,
+      pValue: this.pValueFromZ(zScore),
+      test: "two-proportion",
+    };
+  },
+};
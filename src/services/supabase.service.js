@@ -95,6 +95,39 @@ export const supabaseService = {
         supporting_data: {
           date: insight.date,
           threshold: insight.threshold,
+          segments: insight.segments || [],
+          forecast: insight.forecast || null,
+          currency: insight.currency,
+          pattern: insight.pattern || null,
+          components: insight.components || [],
+          steadyMetric: insight.steadyMetric || null,
+          annotations: insight.annotations || [],
+          pacing: insight.pacing || null,
+          page: insight.page || null,
+          event: insight.event || null,
+          trackingIssue: insight.trackingIssue || null,
+          botTraffic: insight.botTraffic || null,
+          benchmark: insight.benchmark || null,
+          businessImpact: insight.businessImpact || null,
+          detection: {
+            detector: insight.detector,
+            detectors: insight.detectors || [insight.detector],
+            rankScore: insight.rankScore ?? null,
+            rankBasis: insight.rankBasis || null,
+          },
+          lifecycle: {
+            incidentId: insight.incidentId || null,
+            status: insight.status || "new",
+            startDate: insight.startDate || insight.date,
+            daysActive: insight.daysActive || 1,
+          },
+          significance: {
+            test: insight.significanceTest,
+            zScore: insight.zScore,
+            pValue: insight.pValue,
+            adjustedPValue: insight.adjustedPValue,
+            testsInBatch: insight.testsInBatch,
+          },
         },
       }));
 